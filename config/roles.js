@@ -0,0 +1,40 @@
+// Staff roles and what each of them may do in the admin API
+const PERMISSIONS = [
+  "stats:read",
+  "users:read",
+  "users:email",
+  "users:ban",
+  "users:unlock",
+  "reports:review",
+  "messages:read",
+  "messages:delete",
+  "roles:assign",
+];
+
+const ROLE_PERMISSIONS = {
+  moderator: ["users:read", "reports:review", "messages:delete"],
+  support: ["users:read", "users:email", "users:unlock"],
+  analyst: ["stats:read"],
+  superadmin: PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getPermissionsForRoles = (roles = []) => {
+  const permissions = new Set();
+
+  for (const role of roles) {
+    for (const permission of ROLE_PERMISSIONS[role] || []) {
+      permissions.add(permission);
+    }
+  }
+
+  return [...permissions];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getPermissionsForRoles,
+};
@@ -0,0 +1,87 @@
+const User = require("../models/User");
+const Message = require("../models/Message");
+const Follow = require("../models/Follow");
+const Block = require("../models/Block");
+const Report = require("../models/Report");
+const Session = require("../models/Session");
+const LoginEvent = require("../models/LoginEvent");
+const ApiToken = require("../models/ApiToken");
+const UsernameHistory = require("../models/UsernameHistory");
+const { deleteUserExports } = require("./dataExport");
+
+// Hard-delete a user and everything that points at them. Reports and the
+// messages they point at are kept for moderation history, with the user's
+// references removed. `conditions` must still hold at the moment of the
+// delete; returns null, leaving everything in place, if they don't.
+const deleteUserAccount = async (userId, conditions = {}) => {
+  const user = await User.findOneAndDelete({ _id: userId, ...conditions });
+  if (!user) return null;
+
+  const messageIds = await Message.distinct("_id", {
+    $or: [{ recipient: userId }, { sender: userId }],
+  });
+  const reportedMessageIds = await Report.distinct("reportedMessage", {
+    reportedMessage: { $in: messageIds },
+  });
+
+  await Promise.all([
+    // Received messages go away unless a moderator may still need them
+    Message.deleteMany({
+      recipient: userId,
+      _id: { $nin: reportedMessageIds },
+    }),
+    // Sent messages disappear from other inboxes, or become anonymous
+    Message.deleteMany({
+      sender: userId,
+      _id: { $nin: reportedMessageIds },
+    }),
+    Message.updateMany(
+      { sender: userId, _id: { $in: reportedMessageIds } },
+      { sender: null, isAnonymous: true }
+    ),
+    Message.updateMany(
+      { recipient: userId, _id: { $in: reportedMessageIds } },
+      { recipient: null }
+    ),
+    Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] }),
+    Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+    // Reports filed by, against or reviewed by the user are moderation
+    // history and stay, without the user
+    Report.updateMany({ reporter: userId }, { reporter: null }),
+    Report.updateMany({ reportedUser: userId }, { reportedUser: null }),
+    Report.updateMany({ reviewedBy: userId }, { reviewedBy: null }),
+    Session.deleteMany({ user: userId }),
+    LoginEvent.deleteMany({ user: userId }),
+    ApiToken.deleteMany({ user: userId }),
+    UsernameHistory.deleteMany({ user: userId }),
+    deleteUserExports(userId),
+  ]);
+
+  return user;
+};
+
+// Delete every account whose grace period is over
+const purgeScheduledDeletions = async () => {
+  const due = { deletionScheduledFor: { $lte: new Date() } };
+  const users = await User.find(due).select("_id username");
+
+  let deleted = 0;
+  for (const user of users) {
+    try {
+      // Logging in since the lookup cancels the deletion
+      if (!(await deleteUserAccount(user._id, due))) continue;
+
+      deleted++;
+      console.log(`🗑️ Deleted account ${user.username} (${user._id})`);
+    } catch (error) {
+      console.error(`Failed to delete account ${user._id}:`, error);
+    }
+  }
+
+  return deleted;
+};
+
+module.exports = {
+  deleteUserAccount,
+  purgeScheduledDeletions,
+};
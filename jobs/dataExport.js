@@ -0,0 +1,281 @@
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const User = require("../models/User");
+const Message = require("../models/Message");
+const Follow = require("../models/Follow");
+const Block = require("../models/Block");
+const Report = require("../models/Report");
+const LoginEvent = require("../models/LoginEvent");
+const DataExport = require("../models/DataExport");
+const emailService = require("../scripts/emailService");
+const { toCsv } = require("../utils/csv");
+const { signLink } = require("../utils/tokens");
+
+const EXPORTS_DIR = path.resolve(process.env.EXPORTS_DIR || "exports");
+const EXPORT_RETENTION =
+  (parseInt(process.env.EXPORT_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const EXPORT_LINK_TTL =
+  (parseInt(process.env.EXPORT_LINK_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// An export still "processing" after this long was abandoned by a crashed
+// or restarted worker and is picked up again
+const EXPORT_PROCESSING_TIMEOUT =
+  (parseInt(process.env.EXPORT_PROCESSING_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+// Exports waiting for a worker: new ones, and stuck ones to reclaim
+const claimableFilter = () => ({
+  $or: [
+    { status: "pending" },
+    {
+      status: "processing",
+      // Also matches exports claimed before startedAt was recorded
+      startedAt: {
+        $not: { $gt: new Date(Date.now() - EXPORT_PROCESSING_TIMEOUT) },
+      },
+    },
+  ],
+});
+
+// Short-lived signed link that works without a bearer token
+const getDownloadUrl = (dataExport) => {
+  const expires = Math.min(
+    Date.now() + EXPORT_LINK_TTL,
+    dataExport.expiresAt.getTime()
+  );
+  const signature = signLink(dataExport._id, expires);
+  const baseUrl =
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return {
+    url: `${baseUrl}/api/users/exports/${dataExport._id}/download?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires),
+  };
+};
+
+// Collect everything we hold about a user, as flat rows ready for JSON/CSV
+const collectUserData = async (userId) => {
+  const [user, received, sent, followers, following, blocks, reports, logins] =
+    await Promise.all([
+      User.findById(userId),
+      Message.find({ recipient: userId })
+        .populate("sender", "username")
+        .sort({ createdAt: -1 }),
+      Message.find({ sender: userId, isAnonymous: false })
+        .populate("recipient", "username")
+        .sort({ createdAt: -1 }),
+      Follow.find({ following: userId })
+        .populate("follower", "username")
+        .sort({ createdAt: -1 }),
+      Follow.find({ follower: userId })
+        .populate("following", "username")
+        .sort({ createdAt: -1 }),
+      Block.find({ blocker: userId })
+        .populate("blocked", "username")
+        .sort({ createdAt: -1 }),
+      Report.find({ reporter: userId })
+        .populate("reportedUser", "username")
+        .sort({ createdAt: -1 }),
+      LoginEvent.find({ user: userId }).sort({ createdAt: -1 }),
+    ]);
+
+  const username = (ref) => (ref && ref.username) || null;
+  const firstReply = (m) => m.getFirstReply() || {};
+
+  return {
+    profile: {
+      ...user.getPublicProfile(),
+      email: user.email,
+      isVerified: user.isVerified,
+      lastLogin: user.lastLogin,
+    },
+    settings: user.toObject().settings,
+    receivedMessages: received.map((m) => ({
+      id: m._id.toString(),
+      content: m.content,
+      hasImage: !!m.image,
+      isAnonymous: m.isAnonymous,
+      sender: m.isAnonymous ? null : username(m.sender),
+      isRead: m.isRead,
+      isArchived: m.isArchived,
+      isPinned: m.isPinned,
+      isStarred: m.isStarred,
+      createdAt: m.createdAt,
+      deletedAt: m.deletedAt,
+      replyContent: firstReply(m).content,
+      replyIsPublic: firstReply(m).isPublic,
+      replyCreatedAt: firstReply(m).createdAt,
+      threadClosedAt: m.threadClosedAt,
+    })),
+    // Every reply and anonymous follow-up in the threads of received messages
+    messageReplies: received.flatMap((m) =>
+      m.replies.map((r) => ({
+        messageId: m._id.toString(),
+        author: r.author,
+        content: r.content,
+        isPublic: r.isPublic,
+        createdAt: r.createdAt,
+      }))
+    ),
+    sentMessages: sent.map((m) => ({
+      id: m._id.toString(),
+      recipient: username(m.recipient),
+      content: m.content,
+      hasImage: !!m.image,
+      createdAt: m.createdAt,
+      replyContent: firstReply(m).content,
+      replyCreatedAt: firstReply(m).createdAt,
+    })),
+    followers: followers.map((f) => ({
+      username: username(f.follower),
+      followedAt: f.createdAt,
+    })),
+    following: following.map((f) => ({
+      username: username(f.following),
+      followedAt: f.createdAt,
+    })),
+    blocks: blocks.map((b) => ({
+      username: username(b.blocked),
+      reason: b.reason,
+      blockedAt: b.createdAt,
+    })),
+    reports: reports.map((r) => ({
+      id: r._id.toString(),
+      type: r.type,
+      description: r.description,
+      status: r.status,
+      reportedUser: username(r.reportedUser),
+      reportedMessage: r.reportedMessage && r.reportedMessage.toString(),
+      createdAt: r.createdAt,
+    })),
+    loginHistory: logins.map((l) => ({
+      result: l.result,
+      method: l.method,
+      ipAddress: l.ipAddress,
+      userAgent: l.userAgent,
+      newDevice: l.newDevice,
+      createdAt: l.createdAt,
+    })),
+  };
+};
+
+// Write the archive: one JSON and one CSV file per section
+const writeArchive = (data, filePath) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    output.on("close", () => resolve(archive.pointer()));
+    archive.on("error", reject);
+    archive.pipe(output);
+
+    for (const [name, content] of Object.entries(data)) {
+      const fileName = name.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+      const rows = Array.isArray(content) ? content : [content];
+
+      archive.append(JSON.stringify(content, null, 2), {
+        name: `bsaraha-export/${fileName}.json`,
+      });
+      archive.append(toCsv(rows), {
+        name: `bsaraha-export/${fileName}.csv`,
+      });
+    }
+
+    archive.finalize();
+  });
+};
+
+// Build one export and email the owner when it is ready
+const processExport = async (exportId) => {
+  // Claim the export so that two workers never build the same one
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, ...claimableFilter() },
+    { status: "processing", startedAt: new Date() },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  const filePath = path.join(EXPORTS_DIR, `${dataExport._id}.zip`);
+
+  try {
+    const data = await collectUserData(dataExport.user);
+
+    await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+
+    dataExport.fileSize = await writeArchive(data, filePath);
+    dataExport.filePath = filePath;
+    dataExport.status = "ready";
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_RETENTION);
+    await dataExport.save();
+
+    const { url, expiresAt } = getDownloadUrl(dataExport);
+    emailService.sendDataExportReadyEmail(
+      data.profile.email,
+      data.profile.username,
+      url,
+      expiresAt
+    );
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed:`, error);
+    // Don't leave a partial archive behind, and let the purge remove the
+    // failed record after the usual retention
+    await fs.promises.rm(filePath, { force: true });
+    dataExport.status = "failed";
+    dataExport.error = error.message;
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_RETENTION);
+    await dataExport.save();
+  }
+};
+
+// Pick up exports left pending or stuck in processing, e.g. after a restart
+const processPendingExports = async () => {
+  const pending = await DataExport.find(claimableFilter())
+    .sort({ createdAt: 1 })
+    .limit(10)
+    .select("_id");
+
+  for (const dataExport of pending) {
+    await processExport(dataExport._id);
+  }
+
+  return pending.length;
+};
+
+const removeExportFile = async (dataExport) => {
+  if (!dataExport.filePath) return;
+
+  await fs.promises.rm(dataExport.filePath, { force: true });
+};
+
+// Delete archives past their retention period
+const purgeExpiredExports = async () => {
+  const expired = await DataExport.find({
+    expiresAt: { $lte: new Date() },
+  }).select("+filePath");
+
+  for (const dataExport of expired) {
+    await removeExportFile(dataExport);
+    await dataExport.deleteOne();
+  }
+
+  return expired.length;
+};
+
+// Remove every export of a user, files included
+const deleteUserExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId }).select("+filePath");
+
+  for (const dataExport of exports) {
+    await removeExportFile(dataExport);
+  }
+
+  await DataExport.deleteMany({ user: userId });
+};
+
+module.exports = {
+  getDownloadUrl,
+  processExport,
+  processPendingExports,
+  purgeExpiredExports,
+  deleteUserExports,
+};
@@ -0,0 +1,75 @@
+const { purgeScheduledDeletions } = require("./accountDeletion");
+const { processPendingExports, purgeExpiredExports } = require("./dataExport");
+const { liftExpiredSuspensions } = require("./suspensions");
+const { purgeTrashedMessages } = require("./messageTrash");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Background jobs run on an interval inside the API process. Set
+// DISABLE_JOBS=true on instances that should not run them.
+const jobs = [
+  {
+    name: "account-deletion",
+    interval: HOUR,
+    run: purgeScheduledDeletions,
+  },
+  {
+    name: "data-export",
+    interval: 5 * MINUTE,
+    run: processPendingExports,
+  },
+  {
+    name: "data-export-cleanup",
+    interval: HOUR,
+    run: purgeExpiredExports,
+  },
+  {
+    name: "suspension-expiry",
+    interval: MINUTE,
+    run: liftExpiredSuspensions,
+  },
+  {
+    name: "message-trash-purge",
+    interval: HOUR,
+    run: purgeTrashedMessages,
+  },
+];
+
+const timers = [];
+
+const runJob = async (job) => {
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const startJobs = () => {
+  for (const job of jobs) {
+    const timer = setInterval(() => runJob(job), job.interval);
+    timer.unref();
+    timers.push(timer);
+  }
+
+  console.log(`⏰ Started ${jobs.length} background job(s)`);
+};
+
+const stopJobs = () => {
+  while (timers.length) {
+    clearInterval(timers.pop());
+  }
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+  runJob,
+  jobs,
+};
@@ -0,0 +1,36 @@
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+
+const { TRASH_RETENTION_DAYS } = Message;
+
+// Hard-delete messages that have been in trash longer than the retention.
+// Reported messages are kept for moderation history, like on account
+// deletion, so no report is left pointing at a missing message.
+const purgeTrashedMessages = async () => {
+  const cutoff = new Date(
+    Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const expiredIds = await Message.distinct("_id", {
+    deletedAt: { $ne: null, $lte: cutoff },
+  });
+  if (expiredIds.length === 0) return 0;
+
+  const reportedIds = await Report.distinct("reportedMessage", {
+    reportedMessage: { $in: expiredIds },
+  });
+
+  const { deletedCount } = await Message.deleteMany({
+    _id: { $in: expiredIds, $nin: reportedIds },
+  });
+
+  if (deletedCount > 0) {
+    console.log(`🗑️ Purged ${deletedCount} message(s) from trash`);
+  }
+
+  return deletedCount;
+};
+
+module.exports = {
+  purgeTrashedMessages,
+};
@@ -0,0 +1,27 @@
+const User = require("../models/User");
+const emailService = require("../scripts/emailService");
+
+// Restore users whose time-limited block or ban has ended and let them know
+const liftExpiredSuspensions = async () => {
+  const users = await User.find({
+    status: { $ne: "active" },
+    statusExpiresAt: { $lte: new Date() },
+  });
+
+  for (const user of users) {
+    const previousStatus = user.status;
+    user.setStatus("active");
+    await user.save();
+
+    console.log(
+      `🔓 Lifted ${previousStatus} status of ${user.username} (suspension ended)`
+    );
+    emailService.sendSuspensionLiftedEmail(user.email, user.username);
+  }
+
+  return users.length;
+};
+
+module.exports = {
+  liftExpiredSuspensions,
+};
@@ -1,11 +1,68 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const { isApiToken, findApiToken } = require("../utils/tokens");
 
-// Verify JWT token
+// Make sure the session the token was issued for is still active
+const isSessionActive = async (decoded) => {
+  if (!decoded.sessionId) return false;
+
+  const session = await Session.findOne({
+    _id: decoded.sessionId,
+    user: decoded.userId,
+  }).select("revokedAt expiresAt");
+
+  return !!session && session.isActive();
+};
+
+// Reject a blocked or banned user, telling them why and until when
+const sendAccountInactive = (res, user) => {
+  const info = user.getStatusInfo();
+
+  return res.status(403).json({
+    success: false,
+    message: info.expiresAt
+      ? `Account is ${info.status} until ${info.expiresAt.toISOString()}`
+      : "Account is blocked or banned",
+    data: info,
+  });
+};
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+};
+
+// Resolve a personal access token to its user. Returns null if the token is
+// invalid, expired, revoked, or was issued before the user's tokens were last
+// invalidated.
+const loadApiTokenUser = async (token) => {
+  const apiToken = await findApiToken(token);
+  if (!apiToken) return null;
+
+  const user = await User.findById(apiToken.user).select("-password");
+  if (!user || apiToken.tokenVersion !== (user.tokenVersion || 0)) {
+    return null;
+  }
+
+  return { apiToken, user };
+};
+
+// Record when a token was last used, at most once a minute
+const touchApiToken = async (apiToken, req) => {
+  if (apiToken.lastUsedAt && Date.now() - apiToken.lastUsedAt < 60 * 1000) {
+    return;
+  }
+
+  apiToken.lastUsedAt = new Date();
+  apiToken.lastUsedIp = req.ip;
+  await apiToken.save();
+};
+
+// Verify JWT token or personal access token
 const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+    const token = getBearerToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -14,7 +71,36 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (isApiToken(token)) {
+      const result = await loadApiTokenUser(token);
+
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired API token",
+        });
+      }
+
+      if (!result.user.isActive()) {
+        return sendAccountInactive(res, result.user);
+      }
+
+      await touchApiToken(result.apiToken, req);
+
+      req.user = result.user;
+      req.apiToken = result.apiToken;
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked",
+      });
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
 
     if (!user) {
@@ -24,14 +110,19 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    if (user.status !== "active") {
-      return res.status(403).json({
+    if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
         success: false,
-        message: "Account is blocked or banned",
+        message: "Token has been invalidated, please log in again",
       });
     }
 
+    if (!user.isActive()) {
+      return sendAccountInactive(res, user);
+    }
+
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     if (error.name === "TokenExpiredError") {
@@ -59,18 +150,50 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Check that the user's roles grant every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(
+      (permission) => !req.user.hasPermission(permission)
+    );
+
+    if (missing.length) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${missing.join(", ")}`,
+      });
+    }
+    next();
+  };
+};
+
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(" ")[1];
+    const token = getBearerToken(req);
 
-    if (token) {
+    if (token && isApiToken(token)) {
+      const result = await loadApiTokenUser(token);
+
+      if (result && result.user.isActive()) {
+        await touchApiToken(result.apiToken, req);
+        req.user = result.user;
+        req.apiToken = result.apiToken;
+      }
+    } else if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select("-password");
 
-      if (user && user.status === "active") {
-        req.user = user;
+      if (await isSessionActive(decoded)) {
+        const user = await User.findById(decoded.userId).select("-password");
+
+        if (
+          user &&
+          user.isActive() &&
+          (decoded.tokenVersion || 0) === (user.tokenVersion || 0)
+        ) {
+          req.user = user;
+          req.sessionId = decoded.sessionId;
+        }
       }
     }
   } catch (error) {
@@ -79,6 +202,32 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Personal access tokens need the given scope. Sessions and guests pass
+// through.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API token is missing the "${scope}" scope`,
+      });
+    }
+    next();
+  };
+};
+
+// For routes that need a real login session (account settings, admin, token
+// management). Works before or after authenticateToken.
+const rejectApiTokens = (req, res, next) => {
+  if (req.apiToken || isApiToken(getBearerToken(req))) {
+    return res.status(403).json({
+      success: false,
+      message: "This endpoint can't be used with an API token",
+    });
+  }
+  next();
+};
+
 // Check if user account is verified
 const requireVerified = (req, res, next) => {
   if (!req.user.isVerified) {
@@ -90,9 +239,23 @@ const requireVerified = (req, res, next) => {
   next();
 };
 
+// Require a verified email only when REQUIRE_VERIFIED_EMAIL=true. Guests
+// (no req.user) are left for the route to handle.
+const requireVerifiedIfEnabled = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL !== "true" || !req.user) {
+    return next();
+  }
+  requireVerified(req, res, next);
+};
+
 module.exports = {
   authenticateToken,
   requireAdmin,
+  requirePermission,
   optionalAuth,
   requireVerified,
+  requireVerifiedIfEnabled,
+  requireScope,
+  rejectApiTokens,
+  sendAccountInactive,
 };
@@ -45,6 +45,13 @@ const rateLimits = {
     "Too many password reset attempts, please try again after an hour"
   ),
 
+  // Verification emails - very restrictive
+  verificationEmail: createRateLimit(
+    60 * 60 * 1000, // 1 hour
+    3, // limit each IP to 3 verification emails per hour
+    "Too many verification emails requested, please try again after an hour"
+  ),
+
   // Search - moderate limit
   search: createRateLimit(
     60 * 1000, // 1 minute
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// What a personal access token may be used for. Routes that aren't covered
+// by any scope (account settings, admin, token management) need a session.
+const API_TOKEN_SCOPES = [
+  "messages:read",
+  "messages:write",
+  "messages:reply",
+  "messages:send",
+  "profile:read",
+  "profile:write",
+  "social:write",
+];
+
+const ApiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  scopes: {
+    type: [{ type: String, enum: API_TOKEN_SCOPES }],
+    validate: (scopes) => scopes.length > 0,
+  },
+  tokenHash: {
+    type: String, // sha256 of the full token
+    required: true,
+    select: false,
+  },
+  tokenVersion: {
+    type: Number, // user's token version when created
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for listing a user's tokens
+ApiTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Methods
+ApiTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+ApiTokenSchema.methods.getPublicInfo = function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("ApiToken", ApiTokenSchema);
+module.exports.SCOPES = API_TOKEN_SCOPES;
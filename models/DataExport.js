@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const DataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "processing", "ready", "failed"],
+    default: "pending",
+  },
+  filePath: {
+    type: String,
+    select: false,
+  },
+  fileSize: {
+    type: Number,
+  },
+  error: {
+    type: String,
+  },
+  startedAt: {
+    type: Date, // when a worker claimed it; used to reclaim stuck exports
+  },
+  completedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date, // the archive is deleted after this date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for listing a user's exports
+DataExportSchema.index({ user: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("DataExport", DataExportSchema);
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+const LOGIN_HISTORY_RETENTION_DAYS =
+  parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90;
+
+const LoginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  result: {
+    type: String,
+    enum: ["success", "failure", "2fa_pending"],
+    required: true,
+  },
+  method: {
+    type: String,
+    enum: ["password", "magic_link", "google", "two_factor"],
+    required: true,
+  },
+  ipAddress: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+  },
+  browser: {
+    type: String,
+  },
+  os: {
+    type: String,
+  },
+  deviceType: {
+    type: String,
+  },
+  deviceFingerprint: {
+    type: String, // sha256 of the per-device ID (see utils/loginHistory.js)
+  },
+  fingerprintVersion: {
+    type: Number, // missing on events fingerprinted by user agent
+  },
+  newDevice: {
+    type: Boolean,
+    default: false,
+  },
+  alertTokenHash: {
+    type: String, // sha256 of the "this wasn't me" link token
+    select: false,
+  },
+  alertTokenExpires: {
+    type: Date,
+  },
+  reportedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for listing a user's history and for known-device lookups
+LoginEventSchema.index({ user: 1, createdAt: -1 });
+LoginEventSchema.index({ user: 1, deviceFingerprint: 1, result: 1 });
+LoginEventSchema.index({ alertTokenHash: 1 }, { sparse: true });
+
+// Old history is dropped automatically
+LoginEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Methods
+LoginEventSchema.methods.getPublicInfo = function () {
+  return {
+    _id: this._id,
+    result: this.result,
+    method: this.method,
+    ipAddress: this.ipAddress,
+    browser: this.browser,
+    os: this.os,
+    deviceType: this.deviceType,
+    newDevice: this.newDevice,
+    reportedAt: this.reportedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("LoginEvent", LoginEventSchema);
@@ -1,10 +1,53 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Days a trashed message can be restored before it is purged for good
+const TRASH_RETENTION_DAYS =
+  parseInt(process.env.MESSAGE_TRASH_RETENTION_DAYS) || 30;
+
+// Most replies (from both sides) a single thread can hold
+const MAX_THREAD_REPLIES = parseInt(process.env.MAX_THREAD_REPLIES) || 50;
+
+// Thread tokens look like "thr_<secret>"; only the sha256 is stored
+const THREAD_TOKEN_PREFIX = "thr_";
+
+const hashThreadToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// One entry in the conversation that follows a message. Replies come from
+// the recipient or, through the thread token, from the anonymous sender.
+const ReplySchema = new mongoose.Schema({
+  author: {
+    type: String,
+    enum: ["recipient", "sender"],
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 500,
+  },
+  // Only the recipient's first reply can be public
+  isPublic: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const MessageSchema = new mongoose.Schema({
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+    // Cleared on reported messages kept after the recipient's account is
+    // deleted
+    required: function () {
+      return this.isNew;
+    },
   },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -28,18 +71,57 @@ const MessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  reply: {
-    content: {
-      type: String,
-      maxlength: 500,
-    },
-    isPublic: {
-      type: Boolean,
-      default: false,
-    },
-    createdAt: {
-      type: Date,
-    },
+  isArchived: {
+    type: Boolean,
+    default: false,
+  },
+  // Pinned public replies are shown first on the recipient's profile
+  isPinned: {
+    type: Boolean,
+    default: false,
+  },
+  pinnedAt: {
+    type: Date,
+    default: null,
+  },
+  isStarred: {
+    type: Boolean,
+    default: false,
+  },
+  replies: {
+    type: [ReplySchema],
+    default: [],
+  },
+  // Mirrors of the recipient's first reply so inbox filters, the feed and
+  // profiles can query and sort on an index
+  repliedAt: {
+    type: Date,
+    default: null,
+  },
+  publicReplyAt: {
+    type: Date,
+    default: null,
+  },
+  // Lets an anonymous sender follow the thread without an account
+  threadTokenHash: {
+    type: String,
+    select: false,
+  },
+  threadClosedAt: {
+    type: Date,
+    default: null,
+  },
+  // Soft delete: trashed messages stay restorable until the purge job
+  // removes them. deletedBy is the recipient for their own trash, or the
+  // staff member who removed it (not restorable by the recipient).
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
   },
   createdAt: {
     type: Date,
@@ -50,5 +132,89 @@ const MessageSchema = new mongoose.Schema({
 // Index for better performance
 MessageSchema.index({ recipient: 1, createdAt: -1 });
 MessageSchema.index({ sender: 1, createdAt: -1 });
+MessageSchema.index({ threadTokenHash: 1 }, { unique: true, sparse: true });
+// Trash listing and the retention purge
+MessageSchema.index({ recipient: 1, deletedAt: -1 });
+MessageSchema.index({ deletedAt: 1 });
+// Inbox search. Content is mostly Arabic, which MongoDB has no stemmer for,
+// so index plain tokens without language rules
+MessageSchema.index(
+  { content: "text", "replies.content": "text" },
+  { name: "message_text_search", default_language: "none" }
+);
+
+// Create the secret token an anonymous sender uses to follow the thread.
+// The caller must save the message.
+MessageSchema.methods.createThreadToken = function () {
+  const token = THREAD_TOKEN_PREFIX + crypto.randomBytes(32).toString("hex");
+  this.threadTokenHash = hashThreadToken(token);
+  return token;
+};
+
+MessageSchema.statics.findByThreadToken = function (token) {
+  if (typeof token !== "string" || !token.startsWith(THREAD_TOKEN_PREFIX)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    threadTokenHash: hashThreadToken(token),
+    deletedAt: null,
+  });
+};
+
+// The recipient's first reply: the one that may be shown publicly, and what
+// older clients know as `reply`
+MessageSchema.methods.getFirstReply = function () {
+  return this.replies.find((reply) => reply.author === "recipient") || null;
+};
+
+// Add a reply to the thread and keep the mirrored fields in sync. The
+// caller must save the message.
+MessageSchema.methods.addReply = function (author, content, isPublic = false) {
+  const isFirstReply = author === "recipient" && !this.repliedAt;
+
+  this.replies.push({
+    author,
+    content,
+    isPublic: isFirstReply && isPublic,
+  });
+  const reply = this.replies[this.replies.length - 1];
+
+  if (isFirstReply) {
+    this.repliedAt = reply.createdAt;
+    if (reply.isPublic) this.publicReplyAt = reply.createdAt;
+  }
+
+  return reply;
+};
+
+MessageSchema.methods.isThreadClosed = function () {
+  return !!this.threadClosedAt;
+};
+
+MessageSchema.methods.isThreadFull = function () {
+  return this.replies.length >= MAX_THREAD_REPLIES;
+};
+
+MessageSchema.methods.moveToTrash = function (deletedBy) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+};
+
+MessageSchema.methods.restoreFromTrash = function () {
+  this.deletedAt = null;
+  this.deletedBy = null;
+};
+
+// When a trashed message will be purged
+MessageSchema.methods.getPurgeDate = function () {
+  if (!this.deletedAt) return null;
+
+  return new Date(
+    this.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+};
 
 module.exports = mongoose.model("Message", MessageSchema);
+module.exports.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+module.exports.MAX_THREAD_REPLIES = MAX_THREAD_REPLIES;
@@ -4,7 +4,10 @@ const ReportSchema = new mongoose.Schema({
   reporter: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+    // Cleared when the reporter's account is deleted
+    required: function () {
+      return this.isNew;
+    },
   },
   reportedUser: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  refreshTokenHash: {
+    type: String, // sha256 of the current refresh token
+    required: true,
+  },
+  deviceName: {
+    type: String,
+    maxlength: 100,
+    default: "Unknown device",
+  },
+  ipAddress: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for listing a user's sessions
+SessionSchema.index({ user: 1, lastUsedAt: -1 });
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Methods
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+SessionSchema.methods.getPublicInfo = function () {
+  return {
+    _id: this._id,
+    deviceName: this.deviceName,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -1,5 +1,33 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const UsernameHistory = require("./UsernameHistory");
+const { ROLES, getPermissionsForRoles } = require("../config/roles");
+
+// Login lockout: after MAX_FAILED_LOGINS wrong passwords the account is locked,
+// and every lock in a row doubles the window up to LOCKOUT_MAX_MINUTES
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES =
+  parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+const VERIFICATION_TOKEN_TTL_HOURS =
+  parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS) || 24;
+
+const MAGIC_LINK_TTL_MINUTES =
+  parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
+const RESET_CODE_TTL_MINUTES = 10;
+const MAX_RESET_ATTEMPTS = parseInt(process.env.MAX_RESET_ATTEMPTS) || 5;
+
+// Reset codes are short, so they are keyed with the server secret and the
+// user id instead of a plain hash that could be reversed offline
+const hashResetCode = (userId, code) => {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${userId}:${code}`)
+    .digest("hex");
+};
 
 const UserSchema = new mongoose.Schema({
   email: {
@@ -38,30 +66,135 @@ const UserSchema = new mongoose.Schema({
     default: false,
   },
   verificationToken: {
-    type: String,
+    type: String, // sha256 of the token sent by email
+  },
+  verificationTokenExpires: {
+    type: Date,
+  },
+  magicLinkToken: {
+    type: String, // sha256 of the login link token
+    select: false,
+  },
+  magicLinkExpires: {
+    type: Date,
+  },
+  emailChange: {
+    newEmail: {
+      type: String,
+      lowercase: true,
+    },
+    tokenHash: {
+      type: String, // sha256 of the link sent to the new address
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    previousEmail: {
+      type: String,
+      lowercase: true,
+    },
+    undoTokenHash: {
+      type: String, // sha256 of the undo link sent to the old address
+      select: false,
+    },
+    undoExpiresAt: {
+      type: Date,
+    },
   },
   resetPasswordToken: {
-    type: String,
+    type: String, // HMAC of the 6-digit code sent by email
   },
   resetPasswordExpires: {
     type: Date,
   },
+  resetPasswordAttempts: {
+    type: Number,
+    default: 0,
+  },
   googleId: {
     type: String,
+    unique: true,
     sparse: true, // allows null values but ensures uniqueness for non-null values
   },
-  isAdmin: {
-    type: Boolean,
-    default: false,
+  roles: {
+    type: [{ type: String, enum: ROLES }], // staff roles, see config/roles.js
+    default: [],
   },
   status: {
     type: String,
     enum: ["active", "blocked", "banned"],
     default: "active",
   },
+  // Why the account is blocked or banned, shown to the user, and when that
+  // ends (null = until lifted by an admin)
+  statusReason: {
+    type: String,
+    maxlength: 200,
+  },
+  statusExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  statusChangedAt: {
+    type: Date,
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
   lastLogin: {
     type: Date,
   },
+  usernameChangedAt: {
+    type: Date,
+  },
+  deletionRequestedAt: {
+    type: Date,
+  },
+  deletionScheduledFor: {
+    type: Date, // the account is hard-deleted after this date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String, // set during enrolment until the first code is confirmed
+      select: false,
+    },
+    backupCodes: {
+      type: [String], // sha256 hashes, removed once used
+      select: false,
+    },
+    lastUsedStep: {
+      type: Number, // last accepted TOTP step, so a code cannot be replayed
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+    },
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockCount: {
+    type: Number, // how many times the account was locked in a row
+    default: 0,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  tokenVersion: {
+    type: Number, // bumped to invalidate every token issued before
+    default: 0,
+  },
   messageLink: {
     type: String,
     unique: true,
@@ -100,6 +233,241 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Random token for email links; only its sha256 is stored
+const createEmailToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const hash = crypto.createHash("sha256").update(token).digest("hex");
+  return { token, hash };
+};
+
+// Create a new email verification token. Only its hash is stored; the plain
+// token is returned so it can be emailed. The caller must save the user.
+UserSchema.methods.createVerificationToken = function () {
+  const { token, hash } = createEmailToken();
+
+  this.verificationToken = hash;
+  this.verificationTokenExpires = new Date(
+    Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  return token;
+};
+
+// Create a single-use magic login link token. The caller must save the user.
+UserSchema.methods.createMagicLinkToken = function () {
+  const { token, hash } = createEmailToken();
+
+  this.magicLinkToken = hash;
+  this.magicLinkExpires = new Date(
+    Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000
+  );
+
+  return token;
+};
+
+// Create a 6-digit password reset code with a CSPRNG. Only its HMAC is
+// stored; the plain code is returned so it can be emailed. The caller must
+// save the user.
+UserSchema.methods.createPasswordResetCode = function () {
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  this.resetPasswordToken = hashResetCode(this._id, code);
+  this.resetPasswordExpires = new Date(
+    Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000
+  );
+  this.resetPasswordAttempts = 0;
+
+  return code;
+};
+
+// Check a reset code. Every guess first claims one of the MAX_RESET_ATTEMPTS
+// with a conditional atomic update, so parallel guesses can't reuse the same
+// count; the code is thrown away once they are used up by wrong guesses.
+UserSchema.methods.verifyPasswordResetCode = async function (code) {
+  if (
+    !this.resetPasswordToken ||
+    !this.resetPasswordExpires ||
+    this.resetPasswordExpires <= Date.now()
+  ) {
+    return false;
+  }
+
+  const codeFilter = {
+    _id: this._id,
+    resetPasswordToken: this.resetPasswordToken,
+    resetPasswordExpires: { $gt: new Date() },
+  };
+
+  const claimed = await this.constructor.findOneAndUpdate(
+    {
+      ...codeFilter,
+      resetPasswordAttempts: { $not: { $gte: MAX_RESET_ATTEMPTS } },
+    },
+    { $inc: { resetPasswordAttempts: 1 } },
+    { new: true, projection: "resetPasswordAttempts" }
+  );
+  if (!claimed) return false;
+
+  const expected = Buffer.from(this.resetPasswordToken, "hex");
+  const actual = Buffer.from(hashResetCode(this._id, String(code)), "hex");
+
+  if (crypto.timingSafeEqual(expected, actual)) {
+    return true;
+  }
+
+  if (claimed.resetPasswordAttempts >= MAX_RESET_ATTEMPTS) {
+    await this.constructor.updateOne(codeFilter, {
+      $unset: { resetPasswordToken: "", resetPasswordExpires: "" },
+      $set: { resetPasswordAttempts: 0 },
+    });
+  }
+  return false;
+};
+
+UserSchema.methods.clearPasswordResetCode = function () {
+  this.resetPasswordToken = undefined;
+  this.resetPasswordExpires = undefined;
+  this.resetPasswordAttempts = 0;
+};
+
+// A suspension counts as over as soon as it expires, even before the
+// scheduler has restored the status
+UserSchema.methods.isActive = function () {
+  return (
+    this.status === "active" ||
+    (!!this.statusExpiresAt && this.statusExpiresAt <= new Date())
+  );
+};
+
+UserSchema.methods.setStatus = function (
+  status,
+  { reason, expiresAt = null, changedBy } = {}
+) {
+  this.status = status;
+  this.statusReason = status === "active" ? undefined : reason;
+  this.statusExpiresAt = status === "active" ? null : expiresAt;
+  this.statusChangedAt = new Date();
+  this.statusChangedBy = changedBy;
+};
+
+UserSchema.methods.getStatusInfo = function () {
+  return {
+    status: this.status,
+    reason: this.statusReason || null,
+    expiresAt: this.statusExpiresAt || null,
+  };
+};
+
+UserSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+// Count a failed login with atomic updates, so parallel guesses can't
+// overwrite each other's increments. The attempt that reaches
+// MAX_FAILED_LOGINS locks the account. Returns { locked, lockUntil }, where
+// locked is true only for the attempt that locked it.
+UserSchema.statics.registerFailedLogin = async function (userId) {
+  const counted = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: "failedLoginAttempts lockCount lockUntil" }
+  );
+  if (!counted) return { locked: false, lockUntil: null };
+
+  if (counted.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return { locked: false, lockUntil: counted.lockUntil };
+  }
+
+  const minutes = Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** (counted.lockCount || 0),
+    LOCKOUT_MAX_MINUTES
+  );
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  // Only one of several attempts over the limit gets to lock and reset
+  const locked = await this.findOneAndUpdate(
+    { _id: userId, failedLoginAttempts: { $gte: MAX_FAILED_LOGINS } },
+    {
+      $set: { lockUntil, failedLoginAttempts: 0 },
+      $inc: { lockCount: 1 },
+    },
+    { new: true, projection: "lockUntil" }
+  );
+
+  if (locked) {
+    return { locked: true, lockUntil: locked.lockUntil };
+  }
+
+  const current = await this.findById(userId).select("lockUntil");
+  return { locked: false, lockUntil: current && current.lockUntil };
+};
+
+UserSchema.methods.resetFailedLogins = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
+// A username is free if no account uses it (in any letter case) and it is not
+// reserved after another account released it
+UserSchema.statics.isUsernameAvailable = async function (
+  username,
+  exceptUserId
+) {
+  const lower = username.toLowerCase();
+
+  const [taken, reserved] = await Promise.all([
+    this.exists({
+      _id: { $ne: exceptUserId },
+      $or: [{ username }, { messageLink: lower }],
+    }),
+    UsernameHistory.exists({
+      username: lower,
+      user: { $ne: exceptUserId },
+      reservedUntil: { $gt: new Date() },
+    }),
+  ]);
+
+  return !taken && !reserved;
+};
+
+// Turn a seed (e.g. an email's local part) into a free username, adding a
+// random number when the plain version is taken
+UserSchema.statics.generateAvailableUsername = async function (seed) {
+  let base = String(seed || "")
+    .replace(/[^a-zA-Z0-9_]/g, "")
+    .slice(0, 15);
+  if (base.length < 3) base = `user${base}`;
+
+  if (await this.isUsernameAvailable(base)) return base;
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = `${base}${crypto.randomInt(10000, 100000)}`;
+    if (await this.isUsernameAvailable(candidate)) return candidate;
+  }
+
+  return `user${crypto.randomBytes(8).toString("hex")}`;
+};
+
+// Any staff role gives access to the admin API; what can be done there
+// depends on the permissions of the roles
+UserSchema.virtual("isAdmin").get(function () {
+  return (this.roles || []).length > 0;
+});
+
+UserSchema.methods.getPermissions = function () {
+  return getPermissionsForRoles(this.roles);
+};
+
+UserSchema.methods.hasPermission = function (permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Admins can be forced to use 2FA with REQUIRE_ADMIN_2FA=true
+UserSchema.methods.isTwoFactorRequired = function () {
+  return this.isAdmin && process.env.REQUIRE_ADMIN_2FA === "true";
+};
+
 UserSchema.methods.getPublicProfile = function () {
   return {
     _id: this._id,
@@ -113,6 +481,12 @@ UserSchema.methods.getPublicProfile = function () {
   };
 };
 
+// Index for the suspension expiry job
+UserSchema.index({ statusExpiresAt: 1 }, { sparse: true });
+
+// Index for the scheduled deletion job
+UserSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 // Index for performance
 UserSchema.index({ messageLink: 1 });
 UserSchema.index({ email: 1 });
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const UsernameHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  username: {
+    type: String, // the released username, also the old message link
+    required: true,
+    lowercase: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  redirectUntil: {
+    type: Date, // old profile links resolve to the user until then
+    required: true,
+  },
+  reservedUntil: {
+    type: Date, // nobody else can claim the name until then
+    required: true,
+  },
+});
+
+// Index for resolving old identifiers
+UsernameHistorySchema.index({ username: 1, reservedUntil: -1 });
+UsernameHistorySchema.index({ user: 1, changedAt: -1 });
+
+// Free the name for good once the reservation is over
+UsernameHistorySchema.index({ reservedUntil: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UsernameHistory", UsernameHistorySchema);
@@ -3,12 +3,83 @@ const User = require("../models/User");
 const Message = require("../models/Message");
 const Report = require("../models/Report");
 const Follow = require("../models/Follow");
-const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const {
+  authenticateToken,
+  requireAdmin,
+  requirePermission,
+  rejectApiTokens,
+} = require("../middleware/auth");
+const { ROLES, ROLE_PERMISSIONS } = require("../config/roles");
+const { invalidateAllTokens } = require("../utils/tokens");
+const { publishUnreadCount } = require("../utils/realtime");
 
 const router = express.Router();
 
-// All admin routes require authentication and admin privileges
-router.use(authenticateToken, requireAdmin);
+// All admin routes require a login session with a staff role; each route
+// then checks the permission it needs
+router.use(authenticateToken, rejectApiTokens, requireAdmin);
+
+// Permission checks for the routes below
+const canReadStats = requirePermission("stats:read");
+const canReadUsers = requirePermission("users:read");
+const canBanUsers = requirePermission("users:ban");
+const canUnlockUsers = requirePermission("users:unlock");
+const canReviewReports = requirePermission("reports:review");
+const canReadMessages = requirePermission("messages:read");
+const canDeleteMessages = requirePermission("messages:delete");
+const canAssignRoles = requirePermission("roles:assign");
+
+const MAX_SUSPENSION_HOURS = 24 * 365;
+
+// When a suspension should end: null if it has no end, false if the input is
+// invalid
+const getSuspensionExpiry = ({ durationHours, until }) => {
+  if (durationHours !== undefined && durationHours !== null) {
+    const hours = Number(durationHours);
+    if (!(hours > 0 && hours <= MAX_SUSPENSION_HOURS)) return false;
+    return new Date(Date.now() + hours * 60 * 60 * 1000);
+  }
+
+  if (until !== undefined && until !== null) {
+    const date = new Date(until);
+    if (isNaN(date.getTime()) || date <= new Date()) return false;
+    return date;
+  }
+
+  return null;
+};
+
+// Emails are only shown to staff with the users:email permission
+const userFields = (req, fields) => {
+  return req.user.hasPermission("users:email") ? `${fields} email` : fields;
+};
+
+// Projection for whole user documents shown to staff. Credentials and token
+// hashes never leave the server; addresses (including pending or undone
+// email changes) need users:email and lockout counters need users:unlock.
+const userDocumentFields = (req) => {
+  const excluded = [
+    "-password",
+    "-verificationToken",
+    "-resetPasswordToken",
+    "-resetPasswordAttempts",
+  ];
+
+  if (!req.user.hasPermission("users:email")) {
+    // Not the whole emailChange: its hashes are already deselected, and
+    // MongoDB rejects a projection of both a path and its subpaths
+    excluded.push(
+      "-email",
+      "-emailChange.newEmail",
+      "-emailChange.previousEmail"
+    );
+  }
+  if (!req.user.hasPermission("users:unlock")) {
+    excluded.push("-failedLoginAttempts", "-lockCount", "-lockUntil");
+  }
+
+  return excluded.join(" ");
+};
 
 /**
  * @swagger
@@ -19,7 +90,7 @@ router.use(authenticateToken, requireAdmin);
  *     security:
  *       - bearerAuth: []
  */
-router.get("/stats", async (req, res) => {
+router.get("/stats", canReadStats, async (req, res) => {
   try {
     const today = new Date();
     const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
@@ -127,7 +198,7 @@ router.get("/stats", async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get("/users", async (req, res) => {
+router.get("/users", canReadUsers, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -142,18 +213,24 @@ router.get("/users", async (req, res) => {
       filter.status = status;
     }
 
+    if (ROLES.includes(req.query.role)) {
+      filter.roles = req.query.role;
+    }
+
+    const canSeeEmails = req.user.hasPermission("users:email");
+
     if (search) {
       const searchRegex = new RegExp(search, "i");
       filter.$or = [
         { username: searchRegex },
-        { email: searchRegex },
+        ...(canSeeEmails ? [{ email: searchRegex }] : []),
         { firstName: searchRegex },
         { lastName: searchRegex },
       ];
     }
 
     const users = await User.find(filter)
-      .select("-password -verificationToken -resetPasswordToken")
+      .select(userDocumentFields(req))
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -215,14 +292,33 @@ router.get("/users", async (req, res) => {
  * /api/admin/users/{userId}/status:
  *   put:
  *     summary: Update user status (block/unblock/ban)
+ *     description: Blocks and bans can be time-limited with durationHours or until; the status goes back to active automatically when they end.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, blocked, banned]
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the user
+ *               durationHours:
+ *                 type: number
+ *               until:
+ *                 type: string
+ *                 format: date-time
  */
-router.put("/users/:userId/status", async (req, res) => {
+router.put("/users/:userId/status", canBanUsers, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { status, reason } = req.body;
+    const { status, reason, durationHours, until } = req.body;
 
     if (!["active", "blocked", "banned"].includes(status)) {
       return res.status(400).json({
@@ -231,6 +327,22 @@ router.put("/users/:userId/status", async (req, res) => {
       });
     }
 
+    if (reason !== undefined && String(reason).length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be at most 200 characters",
+      });
+    }
+
+    const expiresAt = getSuspensionExpiry({ durationHours, until });
+    if (expiresAt === false || (expiresAt && status === "active")) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Suspension end must be a future date or a positive number of hours, and only applies to blocked or banned users",
+      });
+    }
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({
@@ -247,8 +359,8 @@ router.put("/users/:userId/status", async (req, res) => {
       });
     }
 
-    // Prevent changing status of other admins
-    if (user.isAdmin && !req.user.isAdmin) {
+    // Only superadmins may change the status of other staff
+    if (user.isAdmin && !req.user.hasPermission("roles:assign")) {
       return res.status(403).json({
         success: false,
         message: "Cannot change status of admin users",
@@ -256,16 +368,25 @@ router.put("/users/:userId/status", async (req, res) => {
     }
 
     const previousStatus = user.status;
-    user.status = status;
+    user.setStatus(status, {
+      reason,
+      expiresAt,
+      changedBy: req.user._id,
+    });
     await user.save();
 
+    // Kick the user out of every device right away
+    if (status !== "active") {
+      await invalidateAllTokens(user._id);
+    }
+
     // Log the action (you might want to create an AdminAction model for this)
     console.log(
       `Admin ${req.user.username} changed user ${
         user.username
-      } status from ${previousStatus} to ${status}. Reason: ${
-        reason || "No reason provided"
-      }`
+      } status from ${previousStatus} to ${status}${
+        expiresAt ? ` until ${expiresAt.toISOString()}` : ""
+      }. Reason: ${reason || "No reason provided"}`
     );
 
     res.json({
@@ -276,6 +397,7 @@ router.put("/users/:userId/status", async (req, res) => {
         previousStatus,
         newStatus: status,
         reason,
+        expiresAt,
       },
     });
   } catch (error) {
@@ -287,6 +409,52 @@ router.put("/users/:userId/status", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/users/:userId/unlock", canUnlockUsers, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const wasLocked = user.isLocked();
+    user.resetFailedLogins();
+    await user.save();
+
+    console.log(
+      `Admin ${req.user.username} unlocked user ${user.username} (was locked: ${wasLocked})`
+    );
+
+    res.json({
+      success: true,
+      message: wasLocked ? "Account unlocked" : "Account was not locked",
+      data: {
+        userId: user._id,
+        wasLocked,
+      },
+    });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlock user",
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/admin/reports:
@@ -296,7 +464,7 @@ router.put("/users/:userId/status", async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get("/reports", async (req, res) => {
+router.get("/reports", canReviewReports, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -319,8 +487,11 @@ router.get("/reports", async (req, res) => {
     }
 
     const reports = await Report.find(filter)
-      .populate("reporter", "username email firstName lastName")
-      .populate("reportedUser", "username email firstName lastName status")
+      .populate("reporter", userFields(req, "username firstName lastName"))
+      .populate(
+        "reportedUser",
+        userFields(req, "username firstName lastName status")
+      )
       .populate("reportedMessage", "content image isAnonymous createdAt")
       .populate("reviewedBy", "username firstName lastName")
       .sort({ createdAt: -1 })
@@ -358,7 +529,7 @@ router.get("/reports", async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put("/reports/:reportId/review", async (req, res) => {
+router.put("/reports/:reportId/review", canReviewReports, async (req, res) => {
   try {
     const { reportId } = req.params;
     const { status, adminNotes, action } = req.body;
@@ -379,6 +550,36 @@ router.put("/reports/:reportId/review", async (req, res) => {
       });
     }
 
+    // Actions need the same permission as doing them directly
+    const actionPermission =
+      action &&
+      {
+        delete_message: "messages:delete",
+        block_user: "users:ban",
+        ban_user: "users:ban",
+      }[action.type];
+    if (actionPermission && !req.user.hasPermission(actionPermission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${actionPermission}`,
+      });
+    }
+
+    // block_user/ban_user may be time-limited
+    const actionExpiresAt = action
+      ? getSuspensionExpiry({
+          durationHours: action.durationHours,
+          until: action.until,
+        })
+      : null;
+    if (actionExpiresAt === false) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Suspension end must be a future date or a positive number of hours",
+      });
+    }
+
     // Update report
     report.status = status;
     report.adminNotes = adminNotes;
@@ -391,33 +592,45 @@ router.put("/reports/:reportId/review", async (req, res) => {
       switch (action.type) {
         case "delete_message":
           if (report.reportedMessage) {
-            await Message.findByIdAndDelete(report.reportedMessage);
+            const reported = await Message.findById(report.reportedMessage);
+            if (reported) {
+              const wasVisible = !reported.deletedAt;
+              reported.moveToTrash(req.user._id);
+              await reported.save();
+
+              if (wasVisible && !reported.isRead && reported.recipient) {
+                publishUnreadCount(reported.recipient);
+              }
+            }
           }
           break;
 
         case "block_user":
-          if (report.reportedUser) {
-            await User.findByIdAndUpdate(report.reportedUser, {
-              status: "blocked",
-            });
-          }
-          break;
-
         case "ban_user":
           if (report.reportedUser) {
             await User.findByIdAndUpdate(report.reportedUser, {
-              status: "banned",
+              status: action.type === "ban_user" ? "banned" : "blocked",
+              statusReason: (
+                action.reason || `Reported for ${report.type}`
+              ).slice(0, 200),
+              statusExpiresAt: actionExpiresAt,
+              statusChangedAt: new Date(),
+              statusChangedBy: req.user._id,
             });
+            await invalidateAllTokens(report.reportedUser);
           }
           break;
       }
     }
 
     await report.populate([
-      { path: "reporter", select: "username email firstName lastName" },
+      {
+        path: "reporter",
+        select: userFields(req, "username firstName lastName"),
+      },
       {
         path: "reportedUser",
-        select: "username email firstName lastName status",
+        select: userFields(req, "username firstName lastName status"),
       },
       {
         path: "reportedMessage",
@@ -449,7 +662,7 @@ router.put("/reports/:reportId/review", async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get("/messages", async (req, res) => {
+router.get("/messages", canReadMessages, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -463,8 +676,8 @@ router.get("/messages", async (req, res) => {
     }
 
     const messages = await Message.find(filter)
-      .populate("sender", "username email firstName lastName")
-      .populate("recipient", "username email firstName lastName")
+      .populate("sender", userFields(req, "username firstName lastName"))
+      .populate("recipient", userFields(req, "username firstName lastName"))
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -500,7 +713,7 @@ router.get("/messages", async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete("/messages/:messageId", async (req, res) => {
+router.delete("/messages/:messageId", canDeleteMessages, async (req, res) => {
   try {
     const { messageId } = req.params;
     const { reason } = req.body;
@@ -513,7 +726,14 @@ router.delete("/messages/:messageId", async (req, res) => {
       });
     }
 
-    await Message.findByIdAndDelete(messageId);
+    // Staff deletions are soft too, but the recipient cannot restore them
+    const wasVisible = !message.deletedAt;
+    message.moveToTrash(req.user._id);
+    await message.save();
+
+    if (wasVisible && !message.isRead && message.recipient) {
+      publishUnreadCount(message.recipient);
+    }
 
     // Log the action
     console.log(
@@ -544,11 +764,11 @@ router.delete("/messages/:messageId", async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", canReadUsers, async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select("-password");
+    const user = await User.findById(userId).select(userDocumentFields(req));
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -556,6 +776,9 @@ router.get("/user/:userId", async (req, res) => {
       });
     }
 
+    // Message contents are only shown with messages:read
+    const canReadMessages = req.user.hasPermission("messages:read");
+
     // Get user's activity
     const [
       messagesReceived,
@@ -573,13 +796,15 @@ router.get("/user/:userId", async (req, res) => {
       Follow.countDocuments({ follower: userId }),
       Report.countDocuments({ reportedUser: userId }),
       Report.countDocuments({ reporter: userId }),
-      Message.find({
-        $or: [{ recipient: userId }, { sender: userId }],
-      })
-        .populate("sender", "username firstName lastName")
-        .populate("recipient", "username firstName lastName")
-        .sort({ createdAt: -1 })
-        .limit(10),
+      canReadMessages
+        ? Message.find({
+            $or: [{ recipient: userId }, { sender: userId }],
+          })
+            .populate("sender", "username firstName lastName")
+            .populate("recipient", "username firstName lastName")
+            .sort({ createdAt: -1 })
+            .limit(10)
+        : null,
       Report.find({
         $or: [{ reportedUser: userId }, { reporter: userId }],
       })
@@ -616,4 +841,103 @@ router.get("/user/:userId", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: List staff roles and their permissions (superadmin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/roles", canAssignRoles, (req, res) => {
+  res.json({
+    success: true,
+    data: ROLE_PERMISSIONS,
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/roles:
+ *   put:
+ *     summary: Set a user's staff roles (superadmin)
+ *     description: An empty list removes all staff access.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [moderator, support, analyst, superadmin]
+ */
+router.put("/users/:userId/roles", canAssignRoles, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles) || roles.some((role) => !ROLES.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Roles must be a list of: ${ROLES.join(", ")}`,
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const newRoles = [...new Set(roles)];
+
+    // Never leave the system without a superadmin
+    if (
+      user.roles.includes("superadmin") &&
+      !newRoles.includes("superadmin") &&
+      (await User.countDocuments({ roles: "superadmin" })) <= 1
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot remove the last superadmin",
+      });
+    }
+
+    const previousRoles = [...user.roles];
+    user.roles = newRoles;
+    await user.save();
+
+    console.log(
+      `Admin ${req.user.username} changed roles of ${user.username} from [${previousRoles}] to [${newRoles}]`
+    );
+
+    res.json({
+      success: true,
+      message: "User roles updated",
+      data: {
+        userId: user._id,
+        previousRoles,
+        roles: user.roles,
+        permissions: user.getPermissions(),
+      },
+    });
+  } catch (error) {
+    console.error("Update user roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update user roles",
+    });
+  }
+});
+
 module.exports = router;
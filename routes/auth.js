@@ -1,29 +1,231 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
-const crypto = require("crypto");
 const Joi = require("joi");
 const User = require("../models/User");
-const { authenticateToken } = require("../middleware/auth");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
+const LoginEvent = require("../models/LoginEvent");
+const {
+  authenticateToken,
+  rejectApiTokens,
+  sendAccountInactive,
+} = require("../middleware/auth");
+const emailService = require("../scripts/emailService");
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAllSessions,
+  invalidateAllTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createApiToken,
+} = require("../utils/tokens");
+const {
+  generateSecret,
+  getOtpauthUri,
+  verifyTotp,
+  generateBackupCodes,
+} = require("../utils/totp");
+const { verifyGoogleIdToken } = require("../utils/googleAuth");
+const {
+  resolveDeviceId,
+  setDeviceCookie,
+  recordLogin,
+  consumeAlertToken,
+} = require("../utils/loginHistory");
+const {
+  checkPassword,
+  passwordPolicyError,
+} = require("../utils/passwordPolicy");
 
 const router = express.Router();
 
+// Account and session management always needs a real login session
+router.use(rejectApiTokens);
+
 // Validation schemas
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   username: Joi.string().alphanum().min(3).max(20).required(),
-  password: Joi.string().min(6).required(),
+  password: Joi.string().required(), // strength checked by the password policy
   firstName: Joi.string().min(1).max(50).required(),
   lastName: Joi.string().min(1).max(50).required(),
 });
 
+const MAX_API_TOKENS = parseInt(process.env.MAX_API_TOKENS) || 20;
+
+const createApiTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...ApiToken.SCOPES))
+    .min(1)
+    .unique()
+    .required(),
+  expiresInDays: Joi.number().integer().min(1).max(365).default(30),
+});
+
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().required(),
+  deviceName: Joi.string().max(100),
 });
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "7d" });
+// Update last login and start a new session for this device
+const completeLogin = async (req, res, user, method) => {
+  user.lastLogin = new Date();
+  user.resetFailedLogins();
+
+  // The suspension ended but the scheduler hasn't caught up yet
+  if (user.status !== "active") {
+    user.setStatus("active");
+  }
+
+  // Logging back in during the grace period cancels a scheduled deletion
+  const deletionCancelled = !!user.deletionScheduledFor;
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+
+  await user.save();
+
+  const { token, refreshToken } = await issueTokens(user, req);
+  await recordLogin(req, user, { result: "success", method });
+
+  const deviceId = resolveDeviceId(req);
+  setDeviceCookie(res, deviceId);
+
+  return {
+    token,
+    refreshToken,
+    deviceId,
+    user: user.getPublicProfile(),
+    isVerified: user.isVerified,
+    isAdmin: user.isAdmin,
+    ...(deletionCancelled && { deletionCancelled }),
+  };
+};
+
+// Finish a login once the first factor (password, magic link, ...) checked
+// out: ask for the second factor if needed, otherwise issue tokens
+const respondAfterFirstFactor = async (req, res, user, method) => {
+  if (user.twoFactor.enabled) {
+    await recordLogin(req, user, { result: "2fa_pending", method });
+    return res.json({
+      success: true,
+      message: "Two-factor authentication code required",
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user, "2fa-login"),
+      },
+    });
+  }
+
+  // Admins who must use 2FA have to enrol before they can sign in
+  if (user.isTwoFactorRequired()) {
+    await recordLogin(req, user, { result: "2fa_pending", method });
+    return res.status(403).json({
+      success: false,
+      message: "Two-factor authentication must be set up for this account",
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user, "2fa-enroll"),
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    data: await completeLogin(req, res, user, method),
+  });
+};
+
+// Count a failed password or 2FA attempt and email the owner if it locked
+// the account
+const registerFailedLogin = async (req, user, method) => {
+  const { locked, lockUntil } = await User.registerFailedLogin(user._id);
+  // Mirror the stored lock so the caller's isLocked() check sees it
+  user.lockUntil = lockUntil;
+  await recordLogin(req, user, { result: "failure", method });
+
+  if (locked) {
+    console.log(`🔒 Account ${user.email} locked until ${user.lockUntil}`);
+    emailService.sendAccountLockedEmail(
+      user.email,
+      user.username,
+      user.lockUntil
+    );
+  }
+};
+
+const sendAccountLocked = (res, user) => {
+  return res.status(423).json({
+    success: false,
+    message:
+      "Account is temporarily locked due to too many failed login attempts",
+    data: {
+      lockUntil: user.lockUntil,
+    },
+  });
+};
+
+// Load a user with the fields needed to check a second factor
+const findUserWithTwoFactor = (userId) => {
+  return User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep"
+  );
+};
+
+// Check a TOTP code or a backup code and consume it. The caller must save the
+// user afterwards.
+const consumeSecondFactor = (user, { code, backupCode }) => {
+  if (code) {
+    const step = verifyTotp(
+      user.twoFactor.secret,
+      String(code),
+      user.twoFactor.lastUsedStep
+    );
+    if (step === null) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (backupCode) {
+    const hash = hashToken(String(backupCode).trim().toLowerCase());
+    const index = user.twoFactor.backupCodes.indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Enrolment can happen with a normal access token, or with the challenge token
+// handed out to admins who are not allowed to sign in without 2FA
+const authenticateEnrollment = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  const decoded = verifyChallengeToken(req.body.challengeToken, "2fa-enroll");
+  const user = decoded && (await User.findById(decoded.userId));
+
+  if (
+    !user ||
+    !user.isActive() ||
+    (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)
+  ) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired challenge token",
+    });
+  }
+
+  req.user = user;
+  req.isEnrollmentChallenge = true;
+  next();
 };
 
 /**
@@ -66,6 +268,11 @@ router.post("/register", async (req, res) => {
 
     const { email, username, password, firstName, lastName } = value;
 
+    const passwordErrors = checkPassword(password, { username, email });
+    if (passwordErrors.length) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }],
@@ -81,8 +288,13 @@ router.post("/register", async (req, res) => {
       });
     }
 
-    // Generate verification token
-    const verificationToken = crypto.randomBytes(32).toString("hex");
+    // Recently released usernames stay reserved for a while
+    if (!(await User.isUsernameAvailable(username))) {
+      return res.status(400).json({
+        success: false,
+        message: "Username already taken",
+      });
+    }
 
     // Create user
     const user = new User({
@@ -91,13 +303,18 @@ router.post("/register", async (req, res) => {
       password,
       firstName,
       lastName,
-      verificationToken,
     });
 
+    // Generate verification token
+    const verificationToken = user.createVerificationToken();
+
     await user.save();
 
-    // TODO: Send verification email here
-    console.log(`Verification token for ${email}: ${verificationToken}`);
+    emailService.sendVerificationEmail(
+      user.email,
+      user.username,
+      verificationToken
+    );
 
     res.status(201).json({
       success: true,
@@ -135,6 +352,8 @@ router.post("/register", async (req, res) => {
  *                 type: string
  *               password:
  *                 type: string
+ *               deviceName:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Login successful
@@ -154,7 +373,19 @@ router.post("/login", async (req, res) => {
 
     // Find user
     const user = await User.findOne({ email });
+
+    if (user && user.isLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
     if (!user || !(await user.comparePassword(password))) {
+      if (user) {
+        await registerFailedLogin(req, user, "password");
+        if (user.isLocked()) {
+          return sendAccountLocked(res, user);
+        }
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
@@ -162,30 +393,11 @@ router.post("/login", async (req, res) => {
     }
 
     // Check account status
-    if (user.status !== "active") {
-      return res.status(403).json({
-        success: false,
-        message: "Account is blocked or banned",
-      });
+    if (!user.isActive()) {
+      return sendAccountInactive(res, user);
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      success: true,
-      message: "Login successful",
-      data: {
-        token,
-        user: user.getPublicProfile(),
-        isVerified: user.isVerified,
-        isAdmin: user.isAdmin,
-      },
-    });
+    await respondAfterFirstFactor(req, res, user, "password");
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({
@@ -197,223 +409,1310 @@ router.post("/login", async (req, res) => {
 
 /**
  * @swagger
- * /api/auth/verify-email:
+ * /api/auth/login/2fa:
  *   post:
- *     summary: Verify user email
+ *     summary: Complete login with a two-factor code
  *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               backupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
  */
-router.post("/verify-email", async (req, res) => {
+router.post("/login/2fa", async (req, res) => {
   try {
-    const { token } = req.body;
+    const { challengeToken, code, backupCode } = req.body;
 
-    if (!token) {
+    if (!challengeToken || (!code && !backupCode)) {
       return res.status(400).json({
         success: false,
-        message: "Verification token is required",
+        message: "Challenge token and a code or backup code are required",
       });
     }
 
-    const user = await User.findOne({ verificationToken: token });
-    if (!user) {
-      return res.status(400).json({
+    const decoded = verifyChallengeToken(challengeToken, "2fa-login");
+    const user = decoded && (await findUserWithTwoFactor(decoded.userId));
+
+    if (
+      !user ||
+      !user.twoFactor.enabled ||
+      (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)
+    ) {
+      return res.status(401).json({
         success: false,
-        message: "Invalid or expired verification token",
+        message: "Invalid or expired challenge token",
       });
     }
 
-    user.isVerified = true;
-    user.verificationToken = undefined;
-    await user.save();
+    if (!user.isActive()) {
+      return sendAccountInactive(res, user);
+    }
+
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
+    if (!consumeSecondFactor(user, { code, backupCode })) {
+      await registerFailedLogin(req, user, "two_factor");
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
 
     res.json({
       success: true,
-      message: "Email verified successfully",
+      message: "Login successful",
+      data: await completeLogin(req, res, user, "two_factor"),
     });
   } catch (error) {
-    console.error("Email verification error:", error);
+    console.error("Two-factor login error:", error);
     res.status(500).json({
       success: false,
-      message: "Email verification failed",
+      message: "Login failed",
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/forgot-password:
+ * /api/auth/magic-link:
  *   post:
- *     summary: Request password reset
+ *     summary: Email a single-use login link
  *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
  */
-router.post("/forgot-password", async (req, res) => {
+router.post("/magic-link", async (req, res) => {
   try {
     const { email } = req.body;
 
-    if (!email) {
+    if (!email || typeof email !== "string") {
       return res.status(400).json({
         success: false,
         message: "Email is required",
       });
     }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      // Don't reveal if email exists or not
-      return res.json({
-        success: true,
-        message:
-          "If an account with that email exists, a password reset code has been sent.",
-      });
-    }
+    const user = await User.findOne({ email: email.toLowerCase() });
 
-    // Generate reset token
-    const resetToken = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit code
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
-    await user.save();
+    // Don't reveal if email exists or not
+    if (user && user.isActive()) {
+      const token = user.createMagicLinkToken();
+      await user.save();
 
-    // TODO: Send email with reset code
-    console.log(`Password reset code for ${email}: ${resetToken}`);
+      emailService.sendMagicLinkEmail(user.email, user.username, token);
+    }
 
     res.json({
       success: true,
       message:
-        "If an account with that email exists, a password reset code has been sent.",
+        "If an account with that email exists, a login link has been sent.",
     });
   } catch (error) {
-    console.error("Forgot password error:", error);
+    console.error("Magic link error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to process password reset request",
+      message: "Failed to send login link",
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/reset-password:
+ * /api/auth/magic-link/consume:
  *   post:
- *     summary: Reset password with code
+ *     summary: Log in with a magic link token
+ *     description: Returns the same payload as /api/auth/login and marks the email as verified.
  *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
  */
-router.post("/reset-password", async (req, res) => {
+router.post("/magic-link/consume", async (req, res) => {
   try {
-    const { email, resetCode, newPassword } = req.body;
+    const { token } = req.body;
 
-    if (!email || !resetCode || !newPassword) {
+    if (!token || typeof token !== "string") {
       return res.status(400).json({
         success: false,
-        message: "Email, reset code, and new password are required",
+        message: "Login token is required",
       });
     }
 
-    if (newPassword.length < 6) {
+    // Clear the token in the same query so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: hashToken(token),
+        magicLinkExpires: { $gt: Date.now() },
+      },
+      { $unset: { magicLinkToken: "", magicLinkExpires: "" } },
+      { new: true }
+    );
+
+    if (!user) {
       return res.status(400).json({
         success: false,
-        message: "Password must be at least 6 characters long",
+        message: "Invalid or expired login link",
       });
     }
 
-    const user = await User.findOne({
-      email,
-      resetPasswordToken: resetCode,
-      resetPasswordExpires: { $gt: Date.now() },
-    });
+    if (!user.isActive()) {
+      return sendAccountInactive(res, user);
+    }
 
-    if (!user) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid or expired reset code",
-      });
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user);
     }
 
-    user.password = newPassword; // Will be hashed in pre-save hook
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
-    await user.save();
+    // Opening the link proves the user owns the address
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.verificationToken = undefined;
+      user.verificationTokenExpires = undefined;
+      await user.save();
+    }
 
-    res.json({
-      success: true,
-      message: "Password reset successful",
-    });
+    await respondAfterFirstFactor(req, res, user, "magic_link");
   } catch (error) {
-    console.error("Reset password error:", error);
+    console.error("Magic link login error:", error);
     res.status(500).json({
       success: false,
-      message: "Password reset failed",
+      message: "Login failed",
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user profile
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- */
-router.get("/me", authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      user: req.user.getPublicProfile(),
-      isVerified: req.user.isVerified,
-      isAdmin: req.user.isAdmin,
-      settings: req.user.settings,
-    },
-  });
-});
-
-/**
- * @swagger
- * /api/auth/change-password:
+ * /api/auth/google:
  *   post:
- *     summary: Change user password
+ *     summary: Sign in with a Google ID token
+ *     description: Signs in the user linked to the Google account, links an existing account with the same verified email, or creates a new account. Returns the same payload as /api/auth/login.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid Google token
+ *       409:
+ *         description: Email belongs to an account that can't be linked automatically
  */
-router.post("/change-password", authenticateToken, async (req, res) => {
+router.post("/google", async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { idToken } = req.body;
 
-    if (!currentPassword || !newPassword) {
+    if (!idToken || typeof idToken !== "string") {
       return res.status(400).json({
         success: false,
-        message: "Current password and new password are required",
+        message: "Google ID token is required",
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
+    const identity = await verifyGoogleIdToken(idToken);
+    if (!identity) {
+      return res.status(401).json({
         success: false,
-        message: "New password must be at least 6 characters long",
+        message: "Invalid Google token",
       });
     }
 
-    // Verify current password
-    const user = await User.findById(req.user._id);
-    if (!(await user.comparePassword(currentPassword))) {
-      return res.status(400).json({
-        success: false,
-        message: "Current password is incorrect",
-      });
+    let user = await User.findOne({ googleId: identity.googleId });
+
+    if (!user) {
+      if (!identity.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: "Google account email is not verified",
+        });
+      }
+
+      user = await User.findOne({ email: identity.email });
+
+      if (user) {
+        // Only link when both sides have proven ownership of the address,
+        // otherwise whoever registered it first could take over the account
+        if (!user.isVerified || user.googleId) {
+          return res.status(409).json({
+            success: false,
+            message:
+              "An account with this email already exists. Log in with your password first.",
+          });
+        }
+
+        user.googleId = identity.googleId;
+        await user.save();
+      } else {
+        const username = await User.generateAvailableUsername(
+          identity.email.split("@")[0]
+        );
+
+        user = await User.create({
+          email: identity.email,
+          username,
+          firstName: identity.firstName || username,
+          // Required by the schema but not every Google account has one
+          lastName: identity.lastName || "-",
+          profilePicture: identity.picture,
+          googleId: identity.googleId,
+          isVerified: true,
+        });
+      }
     }
 
-    user.password = newPassword;
-    await user.save();
+    if (!user.isActive()) {
+      return sendAccountInactive(res, user);
+    }
 
-    res.json({
-      success: true,
-      message: "Password changed successfully",
-    });
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
+    await respondAfterFirstFactor(req, res, user, "google");
+  } catch (error) {
+    console.error("Google login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Google login failed",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/google:
+ *   delete:
+ *     summary: Unlink Google sign-in from the account
+ *     description: Only allowed once the account has a password.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/google", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.googleId) {
+      return res.status(400).json({
+        success: false,
+        message: "Google account is not linked",
+      });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: "Set a password before unlinking Google",
+      });
+    }
+
+    user.googleId = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Google account unlinked",
+    });
+  } catch (error) {
+    console.error("Unlink Google error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlink Google account",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify user email
+ *     tags: [Authentication]
+ */
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification token is required",
+      });
+    }
+
+    const user = await User.findOne({
+      verificationToken: hashToken(String(token)),
+      verificationTokenExpires: { $gt: Date.now() },
+    });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Email verification failed",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Authentication]
+ */
+router.post("/resend-verification", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Don't reveal if email exists or is already verified
+    if (user && !user.isVerified) {
+      const verificationToken = user.createVerificationToken();
+      await user.save();
+
+      emailService.sendVerificationEmail(
+        user.email,
+        user.username,
+        verificationToken
+      );
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an unverified account with that email exists, a new verification link has been sent.",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resend verification email",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request password reset
+ *     tags: [Authentication]
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      // Don't reveal if email exists or not
+      return res.json({
+        success: true,
+        message:
+          "If an account with that email exists, a password reset code has been sent.",
+      });
+    }
+
+    // Generate 6-digit reset code, valid for 10 minutes
+    const resetCode = user.createPasswordResetCode();
+    await user.save();
+
+    emailService.sendPasswordResetEmail(user.email, user.username, resetCode);
+
+    res.json({
+      success: true,
+      message:
+        "If an account with that email exists, a password reset code has been sent.",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process password reset request",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with code
+ *     tags: [Authentication]
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { email, resetCode, newPassword } = req.body;
+
+    if (!email || !resetCode || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Email, reset code, and new password are required",
+      });
+    }
+
+    const user = await User.findOne({
+      email,
+      resetPasswordExpires: { $gt: Date.now() },
+    });
+
+    if (!user || !(await user.verifyPasswordResetCode(resetCode))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset code",
+      });
+    }
+
+    // Checked after the code so the policy errors don't leak the username.
+    // The code stays valid so the user can retry with a stronger password.
+    const passwordErrors = checkPassword(newPassword, user);
+    if (passwordErrors.length) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
+    }
+
+    user.password = newPassword; // Will be hashed in pre-save hook
+    user.clearPasswordResetCode();
+    await user.save();
+
+    // End every existing session and let the owner know
+    await invalidateAllTokens(user._id);
+    emailService.sendPasswordChangedEmail(user.email, user.username);
+
+    res.json({
+      success: true,
+      message: "Password reset successful",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Password reset failed",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/me", authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: req.user.getPublicProfile(),
+      isVerified: req.user.isVerified,
+      isAdmin: req.user.isAdmin,
+      roles: req.user.roles,
+      permissions: req.user.getPermissions(),
+      twoFactorEnabled: req.user.twoFactor.enabled,
+      googleLinked: !!req.user.googleId,
+      settings: req.user.settings,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change user password
+ *     description: currentPassword is not needed for accounts that don't have a password yet (Google sign-in).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/change-password", authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    // Accounts created with Google have no password until they set one
+    if ((user.password && !currentPassword) || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password and new password are required",
+      });
+    }
+
+    // Verify current password
+    if (user.password && !(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    const passwordErrors = checkPassword(newPassword, user);
+    if (passwordErrors.length) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every device, then start a fresh session for this one
+    const updatedUser = await invalidateAllTokens(user._id);
+    const { token, refreshToken } = await issueTokens(updatedUser, req);
+
+    emailService.sendPasswordChangedEmail(user.email, user.username);
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      data: {
+        token,
+        refreshToken,
+      },
+    });
   } catch (error) {
     console.error("Change password error:", error);
     res.status(500).json({
       success: false,
-      message: "Password change failed",
+      message: "Password change failed",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Accepts a bearer token, or the challengeToken returned by login when 2FA setup is required.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/2fa/setup", authenticateEnrollment, async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Scan the QR code and confirm with the first code",
+      data: {
+        secret,
+        otpauthUri: getOtpauthUri(secret, user.email),
+      },
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start two-factor setup",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrolment with the first code
+ *     description: Returns single-use backup codes. When called with an enrolment challengeToken, also completes the login.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/2fa/confirm", authenticateEnrollment, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Code is required",
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "No two-factor setup in progress",
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, String(code));
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = backupCodes.map((c) => hashToken(c));
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const data = { backupCodes };
+    if (req.isEnrollmentChallenge) {
+      Object.assign(data, await completeLogin(req, res, user, "two_factor"));
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data,
+    });
+  } catch (error) {
+    console.error("Two-factor confirm error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to enable two-factor authentication",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/2fa/disable", authenticateToken, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (req.user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for admin accounts",
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (user.password && !(await user.comparePassword(password || ""))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    if (!consumeSecondFactor(user, { code, backupCode })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to disable two-factor authentication",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerate two-factor backup codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/2fa/backup-codes", authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!consumeSecondFactor(user, { code })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    user.twoFactor.backupCodes = backupCodes.map((c) => hashToken(c));
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Backup codes regenerated",
+      data: { backupCodes },
+    });
+  } catch (error) {
+    console.error("Backup codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to regenerate backup codes",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    if (!tokens.user.isActive()) {
+      await Session.findByIdAndUpdate(tokens.sessionId, {
+        revokedAt: new Date(),
+      });
+      return sendAccountInactive(res, tokens.user);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to refresh token",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await Session.findByIdAndUpdate(req.sessionId, { revokedAt: new Date() });
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Logout failed",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out from all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices",
+      data: {
+        revokedCount,
+      },
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to log out from all devices",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get active sessions for current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session.getPublicInfo(),
+        isCurrent: session._id.toString() === String(req.sessionId || ""),
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sessions",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login-history:
+ *   get:
+ *     summary: Get recent login attempts on my account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: result
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, 2fa_pending]
+ */
+router.get("/login-history", authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { user: req.user._id };
+    if (["success", "failure", "2fa_pending"].includes(req.query.result)) {
+      query.result = req.query.result;
+    }
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      LoginEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map((event) => event.getPublicInfo()),
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: events.length,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get login history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch login history",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/not-me:
+ *   post:
+ *     summary: Report a new-device login as not mine
+ *     description: Uses the token from the new-device email. Signs out every session and emails a password reset code.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ */
+router.post("/not-me", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Token is required",
+      });
+    }
+
+    const event = await consumeAlertToken(token);
+    const user = event && (await User.findById(event.user));
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired link",
+      });
+    }
+
+    // Kick out whoever got in, then make the owner pick a new password
+    await invalidateAllTokens(user._id);
+
+    const resetCode = user.createPasswordResetCode();
+    await user.save();
+
+    emailService.sendPasswordResetEmail(user.email, user.username, resetCode);
+
+    res.json({
+      success: true,
+      message:
+        "All sessions have been signed out. A password reset code has been sent to your email.",
+    });
+  } catch (error) {
+    console.error("Report login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to secure account",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/sessions/:sessionId", authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: The token is only shown once. Use it as a bearer token on routes that accept its scopes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [messages:read, messages:write, messages:reply, messages:send, profile:read, profile:write, social:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 default: 30
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: Token created
+ */
+router.post("/tokens", authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = createApiTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const activeCount = await ApiToken.countDocuments({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (activeCount >= MAX_API_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_TOKENS} active API tokens`,
+      });
+    }
+
+    const { apiToken, token } = await createApiToken(req.user, {
+      name: value.name,
+      scopes: value.scopes,
+      expiresAt: new Date(
+        Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000
+      ),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API token created. Copy it now, it won't be shown again.",
+      data: {
+        ...apiToken.getPublicInfo(),
+        token,
+      },
+    });
+  } catch (error) {
+    console.error("Create API token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create API token",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   get:
+ *     summary: List my personal access tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/tokens", authenticateToken, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      data: tokens.map((apiToken) => ({
+        ...apiToken.getPublicInfo(),
+        isActive: apiToken.isActive(),
+      })),
+    });
+  } catch (error) {
+    console.error("Get API tokens error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch API tokens",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/tokens/:tokenId", authenticateToken, async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.tokenId,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: "API token not found",
+      });
+    }
+
+    apiToken.revokedAt = new Date();
+    await apiToken.save();
+
+    res.json({
+      success: true,
+      message: "API token revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke API token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke API token",
     });
   }
 });
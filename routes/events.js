@@ -0,0 +1,132 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { authenticateToken, requireScope } = require("../middleware/auth");
+const {
+  subscribeToUser,
+  registerStream,
+  getUnreadCount,
+} = require("../utils/realtime");
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// EventSource can't send headers, so browsers pass the token as ?token=.
+// Keep it out of the request log.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+    req.originalUrl = req.originalUrl.replace(
+      /([?&]token=)[^&]*/,
+      "$1[redacted]"
+    );
+  }
+  next();
+};
+
+// When the credential used to open the stream stops being valid
+const getCredentialExpiry = (req) => {
+  if (req.apiToken) return req.apiToken.expiresAt.getTime();
+
+  const decoded = jwt.decode(req.headers.authorization.split(" ")[1]);
+  return decoded && decoded.exp ? decoded.exp * 1000 : null;
+};
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Stream real-time events (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and pushes `message:new`, `message:reply`,
+ *       `message:followup`, `follower:new` and `unread:count` events for the
+ *       current user. Accepts the access token in the Authorization header or
+ *       as `?token=` (for EventSource). The stream sends `expired` and closes
+ *       when the token expires; reconnect with a fresh token.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ */
+router.get(
+  "/",
+  tokenFromQuery,
+  authenticateToken,
+  requireScope("messages:read"),
+  async (req, res) => {
+    let unsubscribe = null;
+    let heartbeat = null;
+    let expiryTimer = null;
+    let unregister = null;
+    let closed = false;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+
+      clearInterval(heartbeat);
+      clearTimeout(expiryTimer);
+      if (unsubscribe) unsubscribe();
+      if (unregister) unregister();
+      res.end();
+    };
+
+    req.on("close", close);
+
+    try {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // disable proxy buffering (nginx)
+      });
+
+      unsubscribe = await subscribeToUser(req.user._id, ({ event, data }) => {
+        if (!closed) writeEvent(res, event, data);
+      });
+
+      // The client went away while we were subscribing
+      if (closed) {
+        unsubscribe();
+        return;
+      }
+
+      unregister = registerStream(close);
+
+      const unreadCount = await getUnreadCount(req.user._id);
+
+      // Or while counting; close() has already cleaned up, so don't write
+      // to the ended response or start timers nothing would clear
+      if (closed) return;
+
+      writeEvent(res, "ready", { unreadCount });
+
+      // Comment lines keep proxies from closing an idle connection
+      heartbeat = setInterval(
+        () => res.write(": ping\n\n"),
+        HEARTBEAT_INTERVAL
+      );
+
+      const expiresAt = getCredentialExpiry(req);
+      if (expiresAt) {
+        expiryTimer = setTimeout(() => {
+          writeEvent(res, "expired", {});
+          close();
+        }, Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMEOUT));
+      }
+    } catch (error) {
+      console.error("Event stream error:", error);
+      close();
+    }
+  }
+);
+
+module.exports = router;
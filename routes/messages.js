@@ -1,14 +1,35 @@
 const express = require("express");
 const Joi = require("joi");
 const Message = require("../models/Message");
+const { TRASH_RETENTION_DAYS, MAX_THREAD_REPLIES } = Message;
 const User = require("../models/User");
 const Block = require("../models/Block");
 const Follow = require("../models/Follow");
 const Report = require("../models/Report");
-const { authenticateToken, optionalAuth } = require("../middleware/auth");
+const {
+  authenticateToken,
+  optionalAuth,
+  requireVerifiedIfEnabled,
+  requireScope,
+} = require("../middleware/auth");
+const emailService = require("../scripts/emailService");
+const { publishToUser, publishUnreadCount } = require("../utils/realtime");
+const { parsePagination, paginate } = require("../utils/pagination");
 
 const router = express.Router();
 
+// Middleware for each kind of route. API tokens only get through with the
+// scope the route needs.
+const messagesRead = [authenticateToken, requireScope("messages:read")];
+const messagesWrite = [authenticateToken, requireScope("messages:write")];
+const messagesReply = [authenticateToken, requireScope("messages:reply")];
+const publicMessagesRead = [optionalAuth, requireScope("messages:read")];
+const messagesSend = [
+  optionalAuth,
+  requireScope("messages:send"),
+  requireVerifiedIfEnabled,
+];
+
 // Validation schemas
 const sendMessageSchema = Joi.object({
   recipientId: Joi.string().required(),
@@ -22,6 +43,103 @@ const replyMessageSchema = Joi.object({
   isPublic: Joi.boolean().default(false),
 });
 
+const followUpSchema = Joi.object({
+  content: Joi.string().min(1).max(500).required(),
+});
+
+// Inbox filters, shared by the inbox listing and bulk actions
+const inboxFilters = {
+  status: Joi.string().valid("read", "unread"),
+  // Archived messages are hidden unless asked for; "all" includes them
+  archived: Joi.alternatives()
+    .try(Joi.boolean(), Joi.string().valid("all"))
+    .default(false),
+  starred: Joi.boolean(),
+  pinned: Joi.boolean(),
+  replied: Joi.boolean(),
+  anonymous: Joi.boolean(),
+  hasImage: Joi.boolean(),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) }),
+  q: Joi.string().trim().min(2).max(100),
+};
+
+// Pagination parameters are read separately by parsePagination
+const inboxFilterSchema = Joi.object(inboxFilters).unknown(true);
+
+// Most public replies a user can pin to their profile
+const MAX_PINNED_MESSAGES = 5;
+
+// Most messages a single bulk request acts on
+const MAX_BULK_MESSAGES = 500;
+
+const bulkActionSchema = Joi.object({
+  action: Joi.string()
+    .valid("mark-read", "mark-unread", "delete", "archive")
+    .required(),
+  ids: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .min(1)
+    .max(MAX_BULK_MESSAGES)
+    .unique(),
+  filter: Joi.object({
+    ...inboxFilters,
+    olderThanDays: Joi.number().integer().min(1),
+  }),
+}).xor("ids", "filter");
+
+// Turn validated inbox filters into a Message query for the recipient
+const buildInboxFilter = (recipientId, filters) => {
+  const filter = { recipient: recipientId, deletedAt: null };
+
+  if (filters.status) {
+    filter.isRead = filters.status === "read";
+  }
+  // Messages from before these flags existed lack them, so "false" has to
+  // match a missing field too
+  const flag = (value) => (value ? true : { $ne: true });
+
+  if (filters.archived !== "all") {
+    filter.isArchived = flag(filters.archived);
+  }
+  if (filters.starred !== undefined) {
+    filter.isStarred = flag(filters.starred);
+  }
+  if (filters.pinned !== undefined) {
+    filter.isPinned = flag(filters.pinned);
+  }
+  if (filters.replied !== undefined) {
+    filter.repliedAt = filters.replied ? { $ne: null } : null;
+  }
+  if (filters.anonymous !== undefined) {
+    filter.isAnonymous = filters.anonymous;
+  }
+  if (filters.hasImage !== undefined) {
+    filter.image = filters.hasImage
+      ? { $nin: [null, ""] }
+      : { $in: [null, ""] };
+  }
+  if (filters.from || filters.to) {
+    filter.createdAt = {};
+    if (filters.from) filter.createdAt.$gte = filters.from;
+    if (filters.to) filter.createdAt.$lte = filters.to;
+  }
+  if (filters.olderThanDays) {
+    const cutoff = new Date(Date.now() - filters.olderThanDays * 86400000);
+    filter.createdAt = { ...filter.createdAt };
+    if (!filter.createdAt.$lte || filter.createdAt.$lte > cutoff) {
+      filter.createdAt.$lte = cutoff;
+    }
+  }
+  if (filters.q) {
+    filter.$text = { $search: filters.q };
+  }
+
+  return filter;
+};
+
 /**
  * @swagger
  * /api/messages/send:
@@ -29,7 +147,7 @@ const replyMessageSchema = Joi.object({
  *     summary: Send a message
  *     tags: [Messages]
  */
-router.post("/send", optionalAuth, async (req, res) => {
+router.post("/send", messagesSend, async (req, res) => {
   try {
     const { error, value } = sendMessageSchema.validate(req.body);
     if (error) {
@@ -95,8 +213,22 @@ router.post("/send", optionalAuth, async (req, res) => {
       isAnonymous,
     });
 
+    // Anonymous senders get a secret token to follow the thread; it is
+    // only ever shown in this response
+    const threadToken = isAnonymous ? message.createThreadToken() : undefined;
+
     await message.save();
 
+    // Notify the recipient by email if they opted in
+    if (recipient.settings.emailNotifications) {
+      emailService.sendNewMessageNotification(
+        recipient.email,
+        recipient.firstName,
+        message.sender ? req.user.username : null,
+        message.isAnonymous
+      );
+    }
+
     // Populate sender info if not anonymous
     if (!isAnonymous && message.sender) {
       await message.populate(
@@ -105,12 +237,23 @@ router.post("/send", optionalAuth, async (req, res) => {
       );
     }
 
+    publishToUser(recipient._id, "message:new", {
+      _id: message._id,
+      content: message.content,
+      image: message.image,
+      isAnonymous: message.isAnonymous,
+      sender: message.isAnonymous ? null : message.sender,
+      createdAt: message.createdAt,
+    });
+    publishUnreadCount(recipient._id);
+
     res.status(201).json({
       success: true,
       message: "Message sent successfully",
       data: {
         messageId: message._id,
         isAnonymous: message.isAnonymous,
+        threadToken,
       },
     });
   } catch (error) {
@@ -130,24 +273,85 @@ router.post("/send", optionalAuth, async (req, res) => {
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [read, unread]
+ *       - in: query
+ *         name: replied
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: anonymous
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: hasImage
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: q
+ *         description: Full-text search over message and reply content
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Opaque cursor; returns items older than it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         description: Opaque cursor; returns items newer than it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
  */
-router.get("/inbox", authenticateToken, async (req, res) => {
+router.get("/inbox", messagesRead, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    const messages = await Message.find({ recipient: req.user._id })
-      .populate("sender", "username firstName lastName profilePicture")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Message.countDocuments({ recipient: req.user._id });
-    const unreadCount = await Message.countDocuments({
-      recipient: req.user._id,
-      isRead: false,
-    });
+    const { error, value: filters } = inboxFilterSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+      });
+    }
+
+    const filter = buildInboxFilter(req.user._id, filters);
+
+    const [{ items: messages, pagination: pageInfo }, unreadCount] =
+      await Promise.all([
+        paginate(Message, filter, {
+          sortField: "createdAt",
+          pagination,
+          populate: [["sender", "username firstName lastName profilePicture"]],
+        }),
+        // Unread messages among those matching the filters
+        Message.countDocuments({ $and: [filter, { isRead: false }] }),
+      ]);
 
     // Format messages to hide sender info for anonymous messages
     const formattedMessages = messages.map((message) => ({
@@ -156,8 +360,13 @@ router.get("/inbox", authenticateToken, async (req, res) => {
       image: message.image,
       isAnonymous: message.isAnonymous,
       isRead: message.isRead,
+      isArchived: message.isArchived,
+      isPinned: message.isPinned,
+      isStarred: message.isStarred,
       sender: message.isAnonymous ? null : message.sender,
-      reply: message.reply,
+      reply: message.getFirstReply(),
+      replies: message.replies,
+      threadClosedAt: message.threadClosedAt,
       createdAt: message.createdAt,
     }));
 
@@ -166,11 +375,7 @@ router.get("/inbox", authenticateToken, async (req, res) => {
       data: {
         messages: formattedMessages,
         unreadCount,
-        pagination: {
-          current: page,
-          total: Math.ceil(total / limit),
-          count: messages.length,
-        },
+        pagination: pageInfo,
       },
     });
   } catch (error) {
@@ -182,6 +387,87 @@ router.get("/inbox", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/messages/trash:
+ *   get:
+ *     summary: Get messages the current user moved to trash
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: before
+ *         description: Opaque cursor; returns items deleted before it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         description: Opaque cursor; returns items deleted after it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ */
+router.get("/trash", messagesRead, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+      });
+    }
+
+    // Messages removed by staff are not the recipient's to restore
+    const { items: messages, pagination: pageInfo } = await paginate(
+      Message,
+      {
+        recipient: req.user._id,
+        deletedAt: { $ne: null },
+        deletedBy: req.user._id,
+      },
+      {
+        sortField: "deletedAt",
+        pagination,
+        populate: [["sender", "username firstName lastName profilePicture"]],
+      }
+    );
+
+    const formattedMessages = messages.map((message) => ({
+      _id: message._id,
+      content: message.content,
+      image: message.image,
+      isAnonymous: message.isAnonymous,
+      isRead: message.isRead,
+      sender: message.isAnonymous ? null : message.sender,
+      reply: message.getFirstReply(),
+      replies: message.replies,
+      createdAt: message.createdAt,
+      deletedAt: message.deletedAt,
+      purgeAt: message.getPurgeDate(),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        messages: formattedMessages,
+        retentionDays: TRASH_RETENTION_DAYS,
+        pagination: pageInfo,
+      },
+    });
+  } catch (error) {
+    console.error("Get trash error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch trash",
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/messages/{messageId}/read:
@@ -191,11 +477,12 @@ router.get("/inbox", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put("/:messageId/read", authenticateToken, async (req, res) => {
+router.put("/:messageId/read", messagesWrite, async (req, res) => {
   try {
     const message = await Message.findOne({
       _id: req.params.messageId,
       recipient: req.user._id,
+      deletedAt: null,
     });
 
     if (!message) {
@@ -208,6 +495,8 @@ router.put("/:messageId/read", authenticateToken, async (req, res) => {
     message.isRead = true;
     await message.save();
 
+    publishUnreadCount(req.user._id);
+
     res.json({
       success: true,
       message: "Message marked as read",
@@ -226,11 +515,14 @@ router.put("/:messageId/read", authenticateToken, async (req, res) => {
  * /api/messages/{messageId}/reply:
  *   post:
  *     summary: Reply to a message
+ *     description: >
+ *       Adds the recipient's reply to the message thread. Only the first
+ *       reply can be public; later ones are seen by the sender alone.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
  */
-router.post("/:messageId/reply", authenticateToken, async (req, res) => {
+router.post("/:messageId/reply", messagesReply, async (req, res) => {
   try {
     const { error, value } = replyMessageSchema.validate(req.body);
     if (error) {
@@ -245,6 +537,7 @@ router.post("/:messageId/reply", authenticateToken, async (req, res) => {
     const message = await Message.findOne({
       _id: req.params.messageId,
       recipient: req.user._id,
+      deletedAt: null,
     });
 
     if (!message) {
@@ -254,27 +547,47 @@ router.post("/:messageId/reply", authenticateToken, async (req, res) => {
       });
     }
 
-    if (message.reply && message.reply.content) {
+    if (message.isThreadClosed()) {
+      return res.status(409).json({
+        success: false,
+        message: "This thread is closed",
+      });
+    }
+
+    if (message.isThreadFull()) {
+      return res.status(409).json({
+        success: false,
+        message: `A thread can hold up to ${MAX_THREAD_REPLIES} replies`,
+      });
+    }
+
+    if (isPublic && message.repliedAt) {
       return res.status(400).json({
         success: false,
-        message: "Message already has a reply",
+        message: "Only the first reply can be public",
       });
     }
 
-    message.reply = {
-      content,
-      isPublic,
-      createdAt: new Date(),
-    };
+    const reply = message.addReply("recipient", content, isPublic);
 
     message.isRead = true;
     await message.save();
 
+    // Senders of anonymous messages can't be told who they are
+    if (message.sender && !message.isAnonymous) {
+      publishToUser(message.sender, "message:reply", {
+        messageId: message._id,
+        recipient: req.user.getPublicProfile(),
+        reply,
+      });
+    }
+    publishUnreadCount(req.user._id);
+
     res.json({
       success: true,
       message: "Reply sent successfully",
       data: {
-        reply: message.reply,
+        reply,
       },
     });
   } catch (error) {
@@ -286,20 +599,253 @@ router.post("/:messageId/reply", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/messages/{messageId}/close:
+ *   post:
+ *     summary: Close a message thread
+ *     description: >
+ *       No more replies or follow-ups can be added. The anonymous sender can
+ *       still read the thread.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/:messageId/close", messagesReply, async (req, res) => {
+  try {
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      recipient: req.user._id,
+      deletedAt: null,
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    if (!message.isThreadClosed()) {
+      message.threadClosedAt = new Date();
+      await message.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Thread closed",
+      data: {
+        threadClosedAt: message.threadClosedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Close thread error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to close thread",
+    });
+  }
+});
+
+// Load the message a sender's thread token belongs to. The token travels
+// in a header so it stays out of URLs and access logs.
+const loadThread = async (req, res, next) => {
+  try {
+    const message = await Message.findByThreadToken(req.get("X-Thread-Token"));
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Thread not found",
+      });
+    }
+
+    req.thread = message;
+    next();
+  } catch (error) {
+    console.error("Load thread error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load thread",
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/messages/thread:
+ *   get:
+ *     summary: Read a thread as its anonymous sender
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: header
+ *         name: X-Thread-Token
+ *         required: true
+ *         description: Secret token returned by /api/messages/send
+ *         schema:
+ *           type: string
+ */
+router.get("/thread", loadThread, async (req, res) => {
+  try {
+    const message = req.thread;
+    await message.populate(
+      "recipient",
+      "username firstName lastName profilePicture"
+    );
+
+    res.json({
+      success: true,
+      data: {
+        thread: {
+          _id: message._id,
+          recipient: message.recipient,
+          content: message.content,
+          image: message.image,
+          replies: message.replies,
+          threadClosedAt: message.threadClosedAt,
+          createdAt: message.createdAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get thread error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch thread",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/thread/replies:
+ *   post:
+ *     summary: Send a follow-up as the thread's anonymous sender
+ *     description: >
+ *       Allowed once the recipient has replied since the sender's last
+ *       message, and only while the thread is open.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: header
+ *         name: X-Thread-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 500
+ */
+router.post("/thread/replies", loadThread, async (req, res) => {
+  try {
+    const { error, value } = followUpSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const message = req.thread;
+
+    if (message.isThreadClosed()) {
+      return res.status(409).json({
+        success: false,
+        message: "This thread is closed",
+      });
+    }
+
+    if (message.isThreadFull()) {
+      return res.status(409).json({
+        success: false,
+        message: `A thread can hold up to ${MAX_THREAD_REPLIES} replies`,
+      });
+    }
+
+    // Senders take turns with the recipient so a thread can't be flooded
+    const lastReply = message.replies[message.replies.length - 1];
+    if (!lastReply || lastReply.author !== "recipient") {
+      return res.status(409).json({
+        success: false,
+        message: "Wait for a reply before sending a follow-up",
+      });
+    }
+
+    const recipient = await User.findOne({
+      _id: message.recipient,
+      status: "active",
+    });
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: "Thread not found",
+      });
+    }
+
+    if (message.sender) {
+      const isBlocked = await Block.findOne({
+        blocker: message.recipient,
+        blocked: message.sender,
+      });
+      if (isBlocked) {
+        return res.status(403).json({
+          success: false,
+          message: "Cannot send message to this user",
+        });
+      }
+    }
+
+    const reply = message.addReply("sender", value.content);
+    message.isRead = false;
+    await message.save();
+
+    publishToUser(recipient._id, "message:followup", {
+      messageId: message._id,
+      reply,
+    });
+    publishUnreadCount(recipient._id);
+
+    res.status(201).json({
+      success: true,
+      message: "Follow-up sent successfully",
+      data: {
+        reply,
+      },
+    });
+  } catch (error) {
+    console.error("Send follow-up error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send follow-up",
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/messages/{messageId}:
  *   delete:
- *     summary: Delete a message
+ *     summary: Move a message to trash
+ *     description: >
+ *       The message can be restored until it is purged after
+ *       MESSAGE_TRASH_RETENTION_DAYS (30 by default).
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
  */
-router.delete("/:messageId", authenticateToken, async (req, res) => {
+router.delete("/:messageId", messagesWrite, async (req, res) => {
   try {
     const message = await Message.findOne({
       _id: req.params.messageId,
       recipient: req.user._id,
+      deletedAt: null,
     });
 
     if (!message) {
@@ -309,11 +855,19 @@ router.delete("/:messageId", authenticateToken, async (req, res) => {
       });
     }
 
-    await Message.findByIdAndDelete(req.params.messageId);
+    message.moveToTrash(req.user._id);
+    await message.save();
+
+    if (!message.isRead) {
+      publishUnreadCount(req.user._id);
+    }
 
     res.json({
       success: true,
-      message: "Message deleted successfully",
+      message: "Message moved to trash",
+      data: {
+        purgeAt: message.getPurgeDate(),
+      },
     });
   } catch (error) {
     console.error("Delete message error:", error);
@@ -324,6 +878,305 @@ router.delete("/:messageId", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/messages/{messageId}/restore:
+ *   post:
+ *     summary: Restore a message from trash
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/:messageId/restore", messagesWrite, async (req, res) => {
+  try {
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      recipient: req.user._id,
+      deletedAt: { $ne: null },
+      deletedBy: req.user._id,
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found in trash",
+      });
+    }
+
+    message.restoreFromTrash();
+    await message.save();
+
+    if (!message.isRead) {
+      publishUnreadCount(req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: "Message restored",
+    });
+  } catch (error) {
+    console.error("Restore message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore message",
+    });
+  }
+});
+
+// Handler that sets one of the recipient's per-message states. The body
+// may carry the new value under `key` (e.g. { "starred": true }); without
+// it the current value is flipped.
+const setMessageState = (field, key) => async (req, res) => {
+  try {
+    const requested = req.body ? req.body[key] : undefined;
+    if (requested !== undefined && typeof requested !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: `"${key}" must be a boolean`,
+      });
+    }
+
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      recipient: req.user._id,
+      deletedAt: null,
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    const value = requested !== undefined ? requested : !message[field];
+
+    if (field === "isPinned" && value && !message.isPinned) {
+      if (!message.publicReplyAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Only messages with a public reply can be pinned",
+        });
+      }
+
+      const pinnedCount = await Message.countDocuments({
+        recipient: req.user._id,
+        isPinned: true,
+        deletedAt: null,
+      });
+      if (pinnedCount >= MAX_PINNED_MESSAGES) {
+        return res.status(400).json({
+          success: false,
+          message: `You can pin up to ${MAX_PINNED_MESSAGES} messages`,
+        });
+      }
+    }
+
+    message[field] = value;
+    if (field === "isPinned") {
+      message.pinnedAt = value ? message.pinnedAt || new Date() : null;
+    }
+    await message.save();
+
+    res.json({
+      success: true,
+      message: `Message ${value ? key : `un${key}`}`,
+      data: {
+        [key]: value,
+      },
+    });
+  } catch (error) {
+    console.error(`Set message ${key} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update message",
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/archive:
+ *   put:
+ *     summary: Archive or unarchive a message
+ *     description: Archived messages are hidden from the inbox by default.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               archived:
+ *                 type: boolean
+ *                 description: Omit to toggle the current state
+ */
+router.put(
+  "/:messageId/archive",
+  messagesWrite,
+  setMessageState("isArchived", "archived")
+);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/pin:
+ *   put:
+ *     summary: Pin or unpin a public reply on your profile
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pinned:
+ *                 type: boolean
+ *                 description: Omit to toggle the current state
+ */
+router.put(
+  "/:messageId/pin",
+  messagesWrite,
+  setMessageState("isPinned", "pinned")
+);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/star:
+ *   put:
+ *     summary: Star or unstar a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               starred:
+ *                 type: boolean
+ *                 description: Omit to toggle the current state
+ */
+router.put(
+  "/:messageId/star",
+  messagesWrite,
+  setMessageState("isStarred", "starred")
+);
+
+/**
+ * @swagger
+ * /api/messages/bulk:
+ *   post:
+ *     summary: Apply an action to several received messages
+ *     description: >
+ *       Targets either a list of message IDs or an inbox filter (for example
+ *       `{ "status": "unread", "olderThanDays": 30 }`). A filter acts on at
+ *       most 500 messages per request; `hasMore` tells whether to repeat it.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [mark-read, mark-unread, delete, archive]
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ */
+router.post("/bulk", messagesWrite, async (req, res) => {
+  try {
+    const { error, value } = bulkActionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { action, ids, filter } = value;
+    let results;
+    let ownedIds;
+    let hasMore = false;
+
+    if (ids) {
+      // Only the recipient may act on a message; anything else is
+      // reported the same way as a missing one
+      const owned = await Message.find({
+        _id: { $in: ids },
+        recipient: req.user._id,
+        deletedAt: null,
+      }).select("_id");
+      const ownedSet = new Set(owned.map((m) => m._id.toString()));
+
+      ownedIds = ids.filter((id) => ownedSet.has(id));
+      results = ids.map((id) =>
+        ownedSet.has(id)
+          ? { id, success: true }
+          : { id, success: false, error: "Message not found" }
+      );
+    } else {
+      const matched = await Message.find(buildInboxFilter(req.user._id, filter))
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(MAX_BULK_MESSAGES + 1)
+        .select("_id");
+
+      hasMore = matched.length > MAX_BULK_MESSAGES;
+      ownedIds = matched
+        .slice(0, MAX_BULK_MESSAGES)
+        .map((m) => m._id.toString());
+      results = ownedIds.map((id) => ({ id, success: true }));
+    }
+
+    if (ownedIds.length > 0) {
+      const target = { _id: { $in: ownedIds }, recipient: req.user._id };
+
+      const update = {
+        "mark-read": { isRead: true },
+        "mark-unread": { isRead: false },
+        delete: { deletedAt: new Date(), deletedBy: req.user._id },
+        archive: { isArchived: true },
+      }[action];
+      await Message.updateMany(target, { $set: update });
+
+      if (action !== "archive") {
+        publishUnreadCount(req.user._id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Bulk ${action} applied to ${ownedIds.length} message(s)`,
+      data: {
+        action,
+        processed: ownedIds.length,
+        failed: results.length - ownedIds.length,
+        hasMore,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error("Bulk message action error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to apply bulk action",
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/messages/feed:
@@ -332,12 +1185,32 @@ router.delete("/:messageId", authenticateToken, async (req, res) => {
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: before
+ *         description: Opaque cursor; returns items older than it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         description: Opaque cursor; returns items newer than it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
  */
-router.get("/feed", authenticateToken, async (req, res) => {
+router.get("/feed", messagesRead, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+      });
+    }
 
     // Get users that the current user follows
     const following = await Follow.find({ follower: req.user._id }).select(
@@ -348,22 +1221,22 @@ router.get("/feed", authenticateToken, async (req, res) => {
     followingIds.push(req.user._id); // Include own replies
 
     // Get messages with public replies from followed users
-    const messages = await Message.find({
-      recipient: { $in: followingIds },
-      "reply.content": { $exists: true },
-      "reply.isPublic": true,
-    })
-      .populate("recipient", "username firstName lastName profilePicture")
-      .populate("sender", "username firstName lastName profilePicture")
-      .sort({ "reply.createdAt": -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Message.countDocuments({
-      recipient: { $in: followingIds },
-      "reply.content": { $exists: true },
-      "reply.isPublic": true,
-    });
+    const { items: messages, pagination: pageInfo } = await paginate(
+      Message,
+      {
+        recipient: { $in: followingIds },
+        publicReplyAt: { $ne: null },
+        deletedAt: null,
+      },
+      {
+        sortField: "publicReplyAt",
+        pagination,
+        populate: [
+          ["recipient", "username firstName lastName profilePicture"],
+          ["sender", "username firstName lastName profilePicture"],
+        ],
+      }
+    );
 
     // Format feed items
     const feedItems = messages.map((message) => ({
@@ -373,7 +1246,7 @@ router.get("/feed", authenticateToken, async (req, res) => {
       isAnonymous: message.isAnonymous,
       sender: message.isAnonymous ? null : message.sender,
       recipient: message.recipient,
-      reply: message.reply,
+      reply: message.getFirstReply(),
       createdAt: message.createdAt,
     }));
 
@@ -381,11 +1254,7 @@ router.get("/feed", authenticateToken, async (req, res) => {
       success: true,
       data: {
         feed: feedItems,
-        pagination: {
-          current: page,
-          total: Math.ceil(total / limit),
-          count: feedItems.length,
-        },
+        pagination: pageInfo,
       },
     });
   } catch (error) {
@@ -406,7 +1275,7 @@ router.get("/feed", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post("/:messageId/report", authenticateToken, async (req, res) => {
+router.post("/:messageId/report", messagesWrite, async (req, res) => {
   try {
     const { type, description, screenshot } = req.body;
 
@@ -417,7 +1286,10 @@ router.post("/:messageId/report", authenticateToken, async (req, res) => {
       });
     }
 
-    const message = await Message.findById(req.params.messageId);
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      deletedAt: null,
+    });
     if (!message) {
       return res.status(404).json({
         success: false,
@@ -468,13 +1340,38 @@ router.post("/:messageId/report", authenticateToken, async (req, res) => {
  *   get:
  *     summary: Get public replies from a specific user
  *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Opaque cursor; returns items older than it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         description: Opaque cursor; returns items newer than it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
  */
-router.get("/user/:userId", optionalAuth, async (req, res) => {
+router.get("/user/:userId", publicMessagesRead, async (req, res) => {
   try {
     const { userId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+      });
+    }
 
     // Check if user exists and is active
     const user = await User.findOne({ _id: userId, status: "active" });
@@ -500,31 +1397,46 @@ router.get("/user/:userId", optionalAuth, async (req, res) => {
       }
     }
 
-    // Get public replies from this user
-    const messages = await Message.find({
-      recipient: userId,
-      "reply.content": { $exists: true },
-      "reply.isPublic": true,
-    })
-      .populate("sender", "username firstName lastName profilePicture")
-      .sort({ "reply.createdAt": -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Message.countDocuments({
+    const publicReplies = {
       recipient: userId,
-      "reply.content": { $exists: true },
-      "reply.isPublic": true,
-    });
+      publicReplyAt: { $ne: null },
+      deletedAt: null,
+    };
+
+    // Pinned replies lead the first page; the rest are paginated without
+    // them so they are not listed twice
+    const isFirstPage =
+      !pagination.before && !pagination.after && pagination.page === 1;
+
+    const [pinned, { items: messages, pagination: pageInfo }] =
+      await Promise.all([
+        isFirstPage
+          ? Message.find({ ...publicReplies, isPinned: true })
+              .populate("sender", "username firstName lastName profilePicture")
+              .sort({ pinnedAt: -1 })
+          : [],
+        paginate(
+          Message,
+          { ...publicReplies, isPinned: { $ne: true } },
+          {
+            sortField: "publicReplyAt",
+            pagination,
+            populate: [
+              ["sender", "username firstName lastName profilePicture"],
+            ],
+          }
+        ),
+      ]);
 
     // Format messages
-    const formattedMessages = messages.map((message) => ({
+    const formattedMessages = [...pinned, ...messages].map((message) => ({
       _id: message._id,
       content: message.content,
       image: message.image,
       isAnonymous: message.isAnonymous,
+      isPinned: message.isPinned,
       sender: message.isAnonymous ? null : message.sender,
-      reply: message.reply,
+      reply: message.getFirstReply(),
       createdAt: message.createdAt,
     }));
 
@@ -533,11 +1445,7 @@ router.get("/user/:userId", optionalAuth, async (req, res) => {
       data: {
         messages: formattedMessages,
         user: user.getPublicProfile(),
-        pagination: {
-          current: page,
-          total: Math.ceil(total / limit),
-          count: formattedMessages.length,
-        },
+        pagination: pageInfo,
       },
     });
   } catch (error) {
@@ -558,21 +1466,49 @@ router.get("/user/:userId", optionalAuth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get("/stats", authenticateToken, async (req, res) => {
+router.get("/stats", messagesRead, async (req, res) => {
   try {
-    const [totalReceived, unreadCount, totalReplied, publicReplies] =
-      await Promise.all([
-        Message.countDocuments({ recipient: req.user._id }),
-        Message.countDocuments({ recipient: req.user._id, isRead: false }),
-        Message.countDocuments({
-          recipient: req.user._id,
-          "reply.content": { $exists: true },
-        }),
-        Message.countDocuments({
-          recipient: req.user._id,
-          "reply.isPublic": true,
-        }),
-      ]);
+    const [
+      totalReceived,
+      unreadCount,
+      totalReplied,
+      publicReplies,
+      archivedCount,
+      pinnedCount,
+      starredCount,
+    ] = await Promise.all([
+      Message.countDocuments({ recipient: req.user._id, deletedAt: null }),
+      Message.countDocuments({
+        recipient: req.user._id,
+        isRead: false,
+        deletedAt: null,
+      }),
+      Message.countDocuments({
+        recipient: req.user._id,
+        repliedAt: { $ne: null },
+        deletedAt: null,
+      }),
+      Message.countDocuments({
+        recipient: req.user._id,
+        publicReplyAt: { $ne: null },
+        deletedAt: null,
+      }),
+      Message.countDocuments({
+        recipient: req.user._id,
+        isArchived: true,
+        deletedAt: null,
+      }),
+      Message.countDocuments({
+        recipient: req.user._id,
+        isPinned: true,
+        deletedAt: null,
+      }),
+      Message.countDocuments({
+        recipient: req.user._id,
+        isStarred: true,
+        deletedAt: null,
+      }),
+    ]);
 
     res.json({
       success: true,
@@ -581,6 +1517,9 @@ router.get("/stats", authenticateToken, async (req, res) => {
         unreadCount,
         totalReplied,
         publicReplies,
+        archivedCount,
+        pinnedCount,
+        starredCount,
       },
     });
   } catch (error) {
@@ -1,13 +1,39 @@
 const express = require("express");
+const crypto = require("crypto");
 const Joi = require("joi");
 const User = require("../models/User");
 const Follow = require("../models/Follow");
 const Block = require("../models/Block");
 const Message = require("../models/Message");
-const { authenticateToken, optionalAuth } = require("../middleware/auth");
+const UsernameHistory = require("../models/UsernameHistory");
+const DataExport = require("../models/DataExport");
+const { processExport, getDownloadUrl } = require("../jobs/dataExport");
+const emailService = require("../scripts/emailService");
+const { publishToUser } = require("../utils/realtime");
+const {
+  hashToken,
+  invalidateAllTokens,
+  verifyLinkSignature,
+} = require("../utils/tokens");
+const {
+  authenticateToken,
+  optionalAuth,
+  requireVerifiedIfEnabled,
+  requireScope,
+  rejectApiTokens,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
+// Middleware for each kind of route. API tokens only get through with the
+// scope the route needs, and never reach account settings.
+const sessionOnly = [authenticateToken, rejectApiTokens];
+const profileRead = [authenticateToken, requireScope("profile:read")];
+const profileWrite = [authenticateToken, requireScope("profile:write")];
+const publicProfileRead = [optionalAuth, requireScope("profile:read")];
+const socialWrite = [authenticateToken, requireScope("social:write")];
+const verifiedSocialWrite = [...socialWrite, requireVerifiedIfEnabled];
+
 // Validation schemas
 const updateProfileSchema = Joi.object({
   firstName: Joi.string().min(1).max(50),
@@ -16,6 +42,36 @@ const updateProfileSchema = Joi.object({
   profilePicture: Joi.string().allow(""),
 });
 
+const changeEmailSchema = Joi.object({
+  newEmail: Joi.string().email().required(),
+  currentPassword: Joi.string().allow(""),
+});
+
+const changeUsernameSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(20).required(),
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const ACCOUNT_DELETION_GRACE_PERIOD =
+  (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * DAY;
+const USERNAME_CHANGE_COOLDOWN =
+  (parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30) * DAY;
+const USERNAME_REDIRECT_PERIOD =
+  (parseInt(process.env.USERNAME_REDIRECT_DAYS) || 90) * DAY;
+const USERNAME_RESERVATION_PERIOD =
+  (parseInt(process.env.USERNAME_RESERVATION_DAYS) || 180) * DAY;
+
+const EMAIL_CHANGE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_UNDO_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Check that no other account uses (or is switching to) an email address
+const isEmailTaken = async (email, exceptUserId) => {
+  return !!(await User.exists({
+    _id: { $ne: exceptUserId },
+    $or: [{ email }, { "emailChange.newEmail": email }],
+  }));
+};
+
 /**
  * @swagger
  * /api/users/profile:
@@ -25,7 +81,7 @@ const updateProfileSchema = Joi.object({
  *     security:
  *       - bearerAuth: []
  */
-router.put("/profile", authenticateToken, async (req, res) => {
+router.put("/profile", profileWrite, async (req, res) => {
   try {
     const { error, value } = updateProfileSchema.validate(req.body);
     if (error) {
@@ -62,7 +118,7 @@ router.put("/profile", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put("/settings", authenticateToken, async (req, res) => {
+router.put("/settings", profileWrite, async (req, res) => {
   try {
     const { allowAnonymousMessages, emailNotifications } = req.body;
 
@@ -92,6 +148,526 @@ router.put("/settings", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/email:
+ *   post:
+ *     summary: Request an email address change
+ *     description: Sends a confirmation link to the new address and a notice with an undo link to the current one. The email only changes after confirmation.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/email", sessionOnly, async (req, res) => {
+  try {
+    const { error, value } = changeEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const newEmail = value.newEmail.toLowerCase();
+    const user = await User.findById(req.user._id);
+
+    if (
+      user.password &&
+      !(await user.comparePassword(value.currentPassword || ""))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "New email is the same as the current one",
+      });
+    }
+
+    if (await isEmailTaken(newEmail, user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Email already registered",
+      });
+    }
+
+    const confirmToken = crypto.randomBytes(32).toString("hex");
+    const undoToken = crypto.randomBytes(32).toString("hex");
+
+    user.emailChange = {
+      newEmail,
+      tokenHash: hashToken(confirmToken),
+      expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL),
+      previousEmail: user.email,
+      undoTokenHash: hashToken(undoToken),
+      undoExpiresAt: new Date(Date.now() + EMAIL_UNDO_TTL),
+    };
+    await user.save();
+
+    emailService.sendEmailChangeConfirmation(
+      newEmail,
+      user.username,
+      confirmToken
+    );
+    emailService.sendEmailChangeNotice(
+      user.email,
+      user.username,
+      newEmail,
+      undoToken
+    );
+
+    res.json({
+      success: true,
+      message: "Please check your new email address to confirm the change",
+      data: {
+        pendingEmail: newEmail,
+      },
+    });
+  } catch (error) {
+    console.error("Change email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to request email change",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/email/confirm:
+ *   post:
+ *     summary: Confirm an email address change
+ *     tags: [Users]
+ */
+router.post("/email/confirm", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Confirmation token is required",
+      });
+    }
+
+    const user = await User.findOne({
+      "emailChange.tokenHash": hashToken(token),
+      "emailChange.expiresAt": { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired confirmation link",
+      });
+    }
+
+    const newEmail = user.emailChange.newEmail;
+
+    // Someone may have registered the address in the meantime
+    if (await User.exists({ _id: { $ne: user._id }, email: newEmail })) {
+      user.emailChange = undefined;
+      await user.save();
+
+      return res.status(400).json({
+        success: false,
+        message: "Email already registered",
+      });
+    }
+
+    // Keep the undo link for the old address working after the switch
+    user.email = newEmail;
+    user.isVerified = true;
+    user.emailChange.newEmail = undefined;
+    user.emailChange.tokenHash = undefined;
+    user.emailChange.expiresAt = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Email changed successfully",
+      data: {
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Email already registered",
+      });
+    }
+
+    console.error("Confirm email change error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to confirm email change",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/email/undo:
+ *   post:
+ *     summary: Cancel or revert an email address change from the old address
+ *     description: Cancels a pending change, or restores the old address if the change was already confirmed and signs out every device.
+ *     tags: [Users]
+ */
+router.post("/email/undo", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Undo token is required",
+      });
+    }
+
+    const user = await User.findOne({
+      "emailChange.undoTokenHash": hashToken(token),
+      "emailChange.undoExpiresAt": { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired undo link",
+      });
+    }
+
+    const previousEmail = user.emailChange.previousEmail;
+    const wasConfirmed = user.email !== previousEmail;
+
+    if (wasConfirmed) {
+      if (await User.exists({ _id: { $ne: user._id }, email: previousEmail })) {
+        return res.status(400).json({
+          success: false,
+          message: "The previous email is now used by another account",
+        });
+      }
+
+      user.email = previousEmail;
+    }
+
+    user.emailChange = undefined;
+    await user.save();
+
+    // The change may not have come from the owner, so sign out everywhere
+    if (wasConfirmed) {
+      await invalidateAllTokens(user._id);
+    }
+
+    res.json({
+      success: true,
+      message: wasConfirmed
+        ? "Email change reverted and all devices signed out"
+        : "Email change cancelled",
+      data: {
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    console.error("Undo email change error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to undo email change",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/username:
+ *   put:
+ *     summary: Change username and message link
+ *     description: The old username keeps redirecting to the profile for a while and stays reserved for this user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put("/username", sessionOnly, async (req, res) => {
+  try {
+    const { error, value } = changeUsernameSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { username } = value;
+    const user = await User.findById(req.user._id);
+
+    if (username === user.username) {
+      return res.status(400).json({
+        success: false,
+        message: "New username is the same as the current one",
+      });
+    }
+
+    // Case-only changes keep the same message link, so skip the cooldown
+    const isCaseChange = username.toLowerCase() === user.messageLink;
+
+    if (
+      !isCaseChange &&
+      user.usernameChangedAt &&
+      user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN > Date.now()
+    ) {
+      return res.status(429).json({
+        success: false,
+        message: "You can only change your username once in a while",
+        data: {
+          nextChangeAt: new Date(
+            user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN
+          ),
+        },
+      });
+    }
+
+    if (!(await User.isUsernameAvailable(username, user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Username already taken",
+      });
+    }
+
+    const previousUsername = user.username;
+    const previousLink = user.messageLink;
+
+    user.username = username;
+    user.messageLink = username.toLowerCase();
+
+    if (!isCaseChange) {
+      const now = Date.now();
+      user.usernameChangedAt = new Date(now);
+
+      // Reclaiming an old name of our own ends its redirect
+      await UsernameHistory.deleteMany({
+        user: user._id,
+        username: user.messageLink,
+      });
+
+      await UsernameHistory.create({
+        user: user._id,
+        username: previousLink,
+        changedAt: new Date(now),
+        redirectUntil: new Date(now + USERNAME_REDIRECT_PERIOD),
+        reservedUntil: new Date(now + USERNAME_RESERVATION_PERIOD),
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Username changed successfully",
+      data: {
+        user: user.getPublicProfile(),
+        previousUsername,
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Username already taken",
+      });
+    }
+
+    console.error("Change username error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Username change failed",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Schedule deletion of my account
+ *     description: The account is deleted for good after a grace period. Logging back in before then cancels the deletion.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/me", sessionOnly, async (req, res) => {
+  try {
+    const { currentPassword } = req.body || {};
+
+    const user = await User.findById(req.user._id);
+
+    if (user.password && !(await user.comparePassword(currentPassword || ""))) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(
+      Date.now() + ACCOUNT_DELETION_GRACE_PERIOD
+    );
+    await user.save();
+
+    // Sign out everywhere so that only a fresh login can cancel the deletion
+    await invalidateAllTokens(user._id);
+
+    res.json({
+      success: true,
+      message:
+        "Your account will be deleted. Log in again before the deadline to cancel.",
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor,
+      },
+    });
+  } catch (error) {
+    console.error("Delete account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to schedule account deletion",
+    });
+  }
+});
+
+// Shape of an export in API responses, with a fresh download link when ready
+const formatExport = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  fileSize: dataExport.fileSize,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  download:
+    dataExport.status === "ready" ? getDownloadUrl(dataExport) : undefined,
+});
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   post:
+ *     summary: Request a copy of my data
+ *     description: Builds a zip archive with JSON and CSV files in the background and emails a download link when it is ready.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/me/export", sessionOnly, async (req, res) => {
+  try {
+    // Only one export can be in progress at a time
+    const inProgress = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ["pending", "processing"] },
+    });
+
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: "A data export is already being prepared",
+        data: formatExport(inProgress),
+      });
+    }
+
+    const dataExport = await DataExport.create({ user: req.user._id });
+
+    // Build right away; the export job picks it up if this process dies
+    setImmediate(() => {
+      processExport(dataExport._id).catch((error) =>
+        console.error("Data export error:", error)
+      );
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Your data export is being prepared. We will email you a link.",
+      data: formatExport(dataExport),
+    });
+  } catch (error) {
+    console.error("Request data export error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to request data export",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: List my data exports
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/me/export", sessionOnly, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      data: exports.map(formatExport),
+    });
+  } catch (error) {
+    console.error("Get data exports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch data exports",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/exports/{exportId}/download:
+ *   get:
+ *     summary: Download a data export through a signed link
+ *     tags: [Users]
+ */
+router.get("/exports/:exportId/download", async (req, res) => {
+  try {
+    const { exportId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifyLinkSignature(exportId, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: "Invalid or expired download link",
+      });
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: exportId,
+      status: "ready",
+      expiresAt: { $gt: new Date() },
+    }).select("+filePath");
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: "Export not found",
+      });
+    }
+
+    res.download(dataExport.filePath, "bsaraha-data-export.zip");
+  } catch (error) {
+    console.error("Download data export error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to download data export",
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/users/{identifier}:
@@ -99,16 +675,36 @@ router.put("/settings", authenticateToken, async (req, res) => {
  *     summary: Get user by username or message link
  *     tags: [Users]
  */
-router.get("/:identifier", optionalAuth, async (req, res) => {
+router.get("/:identifier", publicProfileRead, async (req, res) => {
   try {
     const { identifier } = req.params;
 
     // Find user by username or messageLink
-    const user = await User.findOne({
+    let user = await User.findOne({
       $or: [{ username: identifier }, { messageLink: identifier }],
       status: "active",
     });
 
+    // Fall back to a username the user recently changed away from
+    let redirect = null;
+    if (!user) {
+      const history = await UsernameHistory.findOne({
+        username: identifier.toLowerCase(),
+        redirectUntil: { $gt: new Date() },
+      }).sort({ changedAt: -1 });
+
+      if (history) {
+        user = await User.findOne({ _id: history.user, status: "active" });
+        if (user) {
+          redirect = {
+            from: identifier,
+            to: user.messageLink,
+            until: history.redirectUntil,
+          };
+        }
+      }
+    }
+
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -154,6 +750,7 @@ router.get("/:identifier", optionalAuth, async (req, res) => {
         followingCount,
         isFollowing: !!isFollowing,
         canSendMessage: user.settings.allowAnonymousMessages || !!req.user,
+        redirect,
       },
     });
   } catch (error) {
@@ -174,7 +771,7 @@ router.get("/:identifier", optionalAuth, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post("/:userId/follow", authenticateToken, async (req, res) => {
+router.post("/:userId/follow", verifiedSocialWrite, async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -186,7 +783,10 @@ router.post("/:userId/follow", authenticateToken, async (req, res) => {
     }
 
     // Check if user exists and is active
-    const userToFollow = await User.findOne({ _id: userId, status: "active" });
+    const userToFollow = await User.findOne({
+      _id: userId,
+      status: "active",
+    });
     if (!userToFollow) {
       return res.status(404).json({
         success: false,
@@ -230,6 +830,11 @@ router.post("/:userId/follow", authenticateToken, async (req, res) => {
 
     await follow.save();
 
+    publishToUser(userId, "follower:new", {
+      follower: req.user.getPublicProfile(),
+      followedAt: follow.createdAt,
+    });
+
     res.json({
       success: true,
       message: "Successfully followed user",
@@ -252,7 +857,7 @@ router.post("/:userId/follow", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete("/:userId/unfollow", authenticateToken, async (req, res) => {
+router.delete("/:userId/unfollow", socialWrite, async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -290,7 +895,7 @@ router.delete("/:userId/unfollow", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post("/:userId/block", authenticateToken, async (req, res) => {
+router.post("/:userId/block", socialWrite, async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason } = req.body;
@@ -363,7 +968,7 @@ router.post("/:userId/block", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete("/:userId/unblock", authenticateToken, async (req, res) => {
+router.delete("/:userId/unblock", socialWrite, async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -401,7 +1006,7 @@ router.delete("/:userId/unblock", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get("/my/followers", authenticateToken, async (req, res) => {
+router.get("/my/followers", profileRead, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -444,7 +1049,7 @@ router.get("/my/followers", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get("/my/following", authenticateToken, async (req, res) => {
+router.get("/my/following", profileRead, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -487,7 +1092,7 @@ router.get("/my/following", authenticateToken, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get("/my/blocked", authenticateToken, async (req, res) => {
+router.get("/my/blocked", profileRead, async (req, res) => {
   try {
     const blocked = await Block.find({ blocker: req.user._id })
       .populate("blocked", "username firstName lastName profilePicture")
@@ -517,7 +1122,7 @@ router.get("/my/blocked", authenticateToken, async (req, res) => {
  *     summary: Search users
  *     tags: [Users]
  */
-router.get("/search", optionalAuth, async (req, res) => {
+router.get("/search", publicProfileRead, async (req, res) => {
   try {
     const { q, page = 1, limit = 20 } = req.query;
 
@@ -2,9 +2,20 @@ require("dotenv").config();
 const mongoose = require("mongoose");
 const User = require("../models/User");
 const connectDB = require("../config/db");
+const { ROLES } = require("../config/roles");
+
+// Usage: node scripts/createAdmin.js [role]   (default: superadmin)
+const role = process.argv[2] || "superadmin";
 
 const createAdmin = async () => {
   try {
+    if (!ROLES.includes(role)) {
+      console.error(
+        `❌ Unknown role "${role}". Must be one of: ${ROLES.join(", ")}`
+      );
+      process.exit(1);
+    }
+
     await connectDB();
 
     const adminEmail = process.env.DEFAULT_ADMIN_EMAIL || "admin@bsaraha.com";
@@ -20,11 +31,11 @@ const createAdmin = async () => {
     // Create admin user
     const admin = new User({
       email: adminEmail,
-      username: "admin",
+      username: role === "superadmin" ? "admin" : role,
       password: adminPassword,
       firstName: "System",
       lastName: "Administrator",
-      isAdmin: true,
+      roles: [role],
       isVerified: true,
       status: "active",
       bio: "System administrator account",
@@ -35,6 +46,7 @@ const createAdmin = async () => {
     console.log("✅ Admin user created successfully!");
     console.log("📧 Email:", adminEmail);
     console.log("🔑 Password:", adminPassword);
+    console.log("👤 Role:", role);
     console.log("⚠️ Please change the password after first login!");
   } catch (error) {
     console.error("❌ Error creating admin user:", error.message);
@@ -1,42 +1,99 @@
 // Email service using nodemailer
-// You'll need to install: npm install nodemailer
+// The transport is picked with EMAIL_TRANSPORT:
+//   smtp   - real delivery (EMAIL_HOST/EMAIL_PORT or EMAIL_SERVICE, EMAIL_USER, EMAIL_PASSWORD)
+//   file   - writes every email as an .eml file to EMAIL_OUTBOX_DIR (local development)
+//   json   - keeps sent emails in memory as JSON (tests)
+//   stream - builds the raw message without sending it (tests)
 
+const fs = require("fs");
+const path = require("path");
 const nodemailer = require("nodemailer");
 
+// Minimal nodemailer transport that drops messages into a folder
+const createFileTransport = (outboxDir) => ({
+  name: "file-outbox",
+  version: "1.0.0",
+  send(mail, callback) {
+    const messageId = mail.message.messageId();
+
+    mail.message.build((error, message) => {
+      if (error) return callback(error);
+
+      const fileName = `${Date.now()}-${messageId.replace(/[^\w.-]/g, "")}.eml`;
+      const filePath = path.join(outboxDir, fileName);
+
+      fs.mkdir(outboxDir, { recursive: true }, (mkdirError) => {
+        if (mkdirError) return callback(mkdirError);
+
+        fs.writeFile(filePath, message, (writeError) => {
+          if (writeError) return callback(writeError);
+          callback(null, {
+            messageId,
+            envelope: mail.message.getEnvelope(),
+            path: filePath,
+          });
+        });
+      });
+    });
+  },
+});
+
 class EmailService {
   constructor() {
     this.transporter = null;
+    this.transportType = null;
+    this.sentEmails = []; // filled by the json and stream transports
     this.init();
   }
 
-  async init() {
-    // Configure your email service here
-    // Example with Gmail:
-    this.transporter = nodemailer.createTransporter({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD, // Use App Password for Gmail
-      },
-    });
+  createTransporter(type) {
+    switch (type) {
+      case "file":
+        return nodemailer.createTransport(
+          createFileTransport(
+            path.resolve(process.env.EMAIL_OUTBOX_DIR || "outbox")
+          )
+        );
 
-    // For other services like SendGrid, Mailgun, etc., configure accordingly
-    // Example with SendGrid:
-    /*
-    this.transporter = nodemailer.createTransporter({
-      host: 'smtp.sendgrid.net',
-      port: 587,
-      secure: false,
-      auth: {
-        user: 'apikey',
-        pass: process.env.SENDGRID_API_KEY,
-      },
-    });
-    */
+      case "json":
+        return nodemailer.createTransport({ jsonTransport: true });
+
+      case "stream":
+        return nodemailer.createTransport({
+          streamTransport: true,
+          buffer: true,
+          newline: "unix",
+        });
+
+      case "smtp":
+        if (!process.env.EMAIL_USER) return null;
+
+        return nodemailer.createTransport({
+          ...(process.env.EMAIL_HOST
+            ? {
+                host: process.env.EMAIL_HOST,
+                port: parseInt(process.env.EMAIL_PORT) || 587,
+                secure: process.env.EMAIL_SECURE === "true",
+              }
+            : { service: process.env.EMAIL_SERVICE || "gmail" }),
+          auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD, // Use App Password for Gmail
+          },
+        });
 
-    // Test connection (optional)
+      default:
+        throw new Error(`Unknown email transport: ${type}`);
+    }
+  }
+
+  async init() {
     try {
-      if (this.transporter) {
+      this.transportType = process.env.EMAIL_TRANSPORT || "smtp";
+      this.transporter = this.createTransporter(this.transportType);
+
+      // Only SMTP has a connection worth testing
+      if (this.transporter && this.transportType === "smtp") {
         await this.transporter.verify();
         console.log("✅ Email service connected successfully");
       }
@@ -45,6 +102,13 @@ class EmailService {
     }
   }
 
+  // Swap the transport at runtime, e.g. to a test double
+  setTransport(transporter, type = "custom") {
+    this.transporter = transporter;
+    this.transportType = type;
+    this.sentEmails = [];
+  }
+
   async sendEmail({ to, subject, html, text }) {
     try {
       if (!this.transporter) {
@@ -64,6 +128,13 @@ class EmailService {
       };
 
       const result = await this.transporter.sendMail(mailOptions);
+
+      if (this.transportType === "json" || this.transportType === "stream") {
+        this.sentEmails.push({ ...mailOptions, raw: result.message });
+      } else if (result.path) {
+        console.log("📬 Email written to outbox:", result.path);
+      }
+
       console.log("Email sent successfully:", result.messageId);
       return { success: true, messageId: result.messageId };
     } catch (error) {
@@ -256,6 +327,306 @@ class EmailService {
     };
   }
 
+  // Shared layout for the simpler notification emails
+  renderLayout({ title, heading, subheading, body }) {
+    return `
+        <!DOCTYPE html>
+        <html dir="rtl" lang="ar">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${title}</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">${heading}</h1>
+            <p style="color: white; margin: 10px 0 0 0; font-size: 16px;">${subheading}</p>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            ${body}
+          </div>
+        </body>
+        </html>
+      `;
+  }
+
+  renderButton(url, label) {
+    return `
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${url}" 
+                 style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                        color: white; 
+                        padding: 15px 30px; 
+                        text-decoration: none; 
+                        border-radius: 25px; 
+                        font-weight: bold;
+                        font-size: 16px;
+                        display: inline-block;">
+                ${label}
+              </a>
+            </div>
+            <p style="background: #e9ecef; padding: 10px; border-radius: 5px; word-break: break-all; font-size: 14px;">
+              ${url}
+            </p>`;
+  }
+
+  renderWarning(content) {
+    return `
+            <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; padding: 15px; margin: 20px 0;">
+              <p style="margin: 0; color: #856404; font-size: 14px;">
+                <strong>⚠️ تنبيه:</strong> ${content}
+              </p>
+            </div>`;
+  }
+
+  getAccountLockedTemplate(username, lockUntil) {
+    const unlockTime = new Date(lockUntil).toLocaleString("ar-EG");
+
+    return {
+      subject: "تم قفل حسابك مؤقتاً - Bsaraha",
+      html: this.renderLayout({
+        title: "تم قفل حسابك مؤقتاً",
+        heading: `مرحباً ${username}! 🔒`,
+        subheading: "تم قفل حسابك مؤقتاً",
+        body: `
+            <h2 style="color: #333; margin-top: 0;">محاولات دخول فاشلة متكررة</h2>
+            <p>رصدنا عدة محاولات فاشلة لتسجيل الدخول إلى حسابك، لذلك قمنا بقفله مؤقتاً لحمايته.</p>
+            <p>يمكنك المحاولة مرة أخرى بعد: <strong>${unlockTime}</strong></p>
+            ${this.renderWarning(
+              "إذا لم تكن أنت من حاول تسجيل الدخول، ننصحك بإعادة تعيين كلمة المرور فور انتهاء القفل."
+            )}`,
+      }),
+      text: `
+        مرحباً ${username}!
+        
+        رصدنا عدة محاولات فاشلة لتسجيل الدخول إلى حسابك، لذلك قمنا بقفله مؤقتاً لحمايته.
+        
+        يمكنك المحاولة مرة أخرى بعد: ${unlockTime}
+        
+        إذا لم تكن أنت من حاول تسجيل الدخول، ننصحك بإعادة تعيين كلمة المرور فور انتهاء القفل.
+      `,
+    };
+  }
+
+  getPasswordChangedTemplate(username) {
+    const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+
+    return {
+      subject: "تم تغيير كلمة المرور - Bsaraha",
+      html: this.renderLayout({
+        title: "تم تغيير كلمة المرور",
+        heading: `مرحباً ${username}! 🔑`,
+        subheading: "تم تغيير كلمة المرور",
+        body: `
+            <h2 style="color: #333; margin-top: 0;">تم تغيير كلمة مرور حسابك بنجاح</h2>
+            <p>تم تسجيل خروجك من جميع الأجهزة الأخرى. إذا كنت أنت من قام بهذا التغيير فلا حاجة لاتخاذ أي إجراء.</p>
+            ${this.renderWarning(
+              `إذا لم تقم بتغيير كلمة المرور، قم بإعادة تعيينها فوراً من خلال الرابط التالي: <a href="${resetUrl}">${resetUrl}</a>`
+            )}`,
+      }),
+      text: `
+        مرحباً ${username}!
+        
+        تم تغيير كلمة مرور حسابك بنجاح، وتم تسجيل خروجك من جميع الأجهزة الأخرى.
+        
+        إذا لم تقم بتغيير كلمة المرور، قم بإعادة تعيينها فوراً من خلال الرابط التالي:
+        ${resetUrl}
+      `,
+    };
+  }
+
+  getEmailChangeConfirmTemplate(username, newEmail, token) {
+    const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email-change?token=${token}`;
+
+    return {
+      subject: "تأكيد البريد الإلكتروني الجديد - Bsaraha",
+      html: this.renderLayout({
+        title: "تأكيد البريد الإلكتروني الجديد",
+        heading: `مرحباً ${username}! ✉️`,
+        subheading: "طلب تغيير البريد الإلكتروني",
+        body: `
+            <h2 style="color: #333; margin-top: 0;">تأكيد البريد الإلكتروني الجديد</h2>
+            <p>طلبت تغيير البريد الإلكتروني لحسابك إلى <strong>${newEmail}</strong>. لن يتم التغيير إلا بعد الضغط على الزر أدناه.</p>
+            ${this.renderButton(confirmUrl, "تأكيد البريد الجديد ✅")}
+            <p style="color: #666; font-size: 12px; text-align: center;">
+              إذا لم تطلب هذا التغيير، يرجى تجاهل هذا الإيميل.<br>
+              هذا الرابط صالح لمدة 24 ساعة فقط.
+            </p>`,
+      }),
+      text: `
+        مرحباً ${username}!
+        
+        طلبت تغيير البريد الإلكتروني لحسابك إلى ${newEmail}. لتأكيد التغيير قم بزيارة الرابط التالي:
+        
+        ${confirmUrl}
+        
+        هذا الرابط صالح لمدة 24 ساعة فقط.
+        
+        إذا لم تطلب هذا التغيير، يرجى تجاهل هذا الإيميل.
+      `,
+    };
+  }
+
+  getEmailChangeNoticeTemplate(username, newEmail, undoToken) {
+    const undoUrl = `${process.env.FRONTEND_URL}/undo-email-change?token=${undoToken}`;
+
+    return {
+      subject: "طلب تغيير البريد الإلكتروني - Bsaraha",
+      html: this.renderLayout({
+        title: "طلب تغيير البريد الإلكتروني",
+        heading: `مرحباً ${username}! ✉️`,
+        subheading: "طلب تغيير البريد الإلكتروني",
+        body: `
+            <h2 style="color: #333; margin-top: 0;">تم طلب تغيير بريدك الإلكتروني</h2>
+            <p>تم طلب تغيير البريد الإلكتروني لحسابك إلى <strong>${newEmail}</strong>.</p>
+            ${this.renderWarning(
+              "إذا لم تقم بهذا الطلب، اضغط على الزر أدناه لإلغائه واستعادة بريدك الحالي. الرابط صالح لمدة 7 أيام."
+            )}
+            ${this.renderButton(undoUrl, "إلغاء التغيير ↩️")}`,
+      }),
+      text: `
+        مرحباً ${username}!
+        
+        تم طلب تغيير البريد الإلكتروني لحسابك إلى ${newEmail}.
+        
+        إذا لم تقم بهذا الطلب، قم بزيارة الرابط التالي لإلغائه واستعادة بريدك الحالي (صالح لمدة 7 أيام):
+        ${undoUrl}
+      `,
+    };
+  }
+
+  getDataExportReadyTemplate(username, downloadUrl, linkExpiresAt) {
+    const expiryTime = new Date(linkExpiresAt).toLocaleString("ar-EG");
+
+    return {
+      subject: "نسخة بياناتك جاهزة - Bsaraha",
+      html: this.renderLayout({
+        title: "نسخة بياناتك جاهزة",
+        heading: `مرحباً ${username}! 📦`,
+        subheading: "نسخة بياناتك جاهزة للتحميل",
+        body: `
+            <h2 style="color: #333; margin-top: 0;">تحميل بياناتك</h2>
+            <p>انتهينا من تجهيز نسخة من بياناتك على منصة بصراحة بصيغتي JSON و CSV.</p>
+            ${this.renderButton(downloadUrl, "تحميل البيانات ⬇️")}
+            <p style="color: #666; font-size: 12px; text-align: center;">
+              هذا الرابط صالح حتى ${expiryTime}. يمكنك طلب رابط جديد من إعدادات حسابك.
+            </p>`,
+      }),
+      text: `
+        مرحباً ${username}!
+        
+        انتهينا من تجهيز نسخة من بياناتك على منصة بصراحة. يمكنك تحميلها من الرابط التالي:
+        
+        ${downloadUrl}
+        
+        هذا الرابط صالح حتى ${expiryTime}.
+      `,
+    };
+  }
+
+  getMagicLinkTemplate(username, token) {
+    const loginUrl = `${process.env.FRONTEND_URL}/magic-login?token=${token}`;
+
+    return {
+      subject: "رابط تسجيل الدخول - Bsaraha",
+      html: this.renderLayout({
+        title: "رابط تسجيل الدخول",
+        heading: `مرحباً ${username}! ✨`,
+        subheading: "تسجيل الدخول بدون كلمة مرور",
+        body: `
+            <h2 style="color: #333; margin-top: 0;">رابط تسجيل الدخول</h2>
+            <p>اضغط على الزر أدناه لتسجيل الدخول إلى حسابك مباشرة.</p>
+            ${this.renderButton(loginUrl, "تسجيل الدخول 🔓")}
+            <p style="color: #666; font-size: 12px; text-align: center;">
+              إذا لم تطلب رابط تسجيل الدخول، يرجى تجاهل هذا الإيميل.<br>
+              هذا الرابط صالح لمرة واحدة فقط ولمدة 15 دقيقة.
+            </p>`,
+      }),
+      text: `
+        مرحباً ${username}!
+        
+        لتسجيل الدخول إلى حسابك مباشرة قم بزيارة الرابط التالي:
+        
+        ${loginUrl}
+        
+        هذا الرابط صالح لمرة واحدة فقط ولمدة 15 دقيقة.
+        
+        إذا لم تطلب رابط تسجيل الدخول، يرجى تجاهل هذا الإيميل.
+      `,
+    };
+  }
+
+  getNewDeviceLoginTemplate(username, { token, deviceName, ipAddress, time }) {
+    const reportUrl = `${process.env.FRONTEND_URL}/not-me?token=${token}`;
+    const loginTime = new Date(time).toLocaleString("ar-EG");
+
+    return {
+      subject: "تسجيل دخول من جهاز جديد - Bsaraha",
+      html: this.renderLayout({
+        title: "تسجيل دخول من جهاز جديد",
+        heading: `مرحباً ${username}! 📱`,
+        subheading: "تسجيل دخول من جهاز جديد",
+        body: `
+            <h2 style="color: #333; margin-top: 0;">هل هذا أنت؟</h2>
+            <p>تم تسجيل الدخول إلى حسابك من جهاز لم نره من قبل:</p>
+            <p>
+              الجهاز: <strong>${deviceName}</strong><br>
+              عنوان IP: <strong>${ipAddress || "غير معروف"}</strong><br>
+              الوقت: <strong>${loginTime}</strong>
+            </p>
+            <p>إذا كنت أنت، فلا داعي لأي إجراء.</p>
+            ${this.renderButton(reportUrl, "لم أكن أنا 🚫")}
+            ${this.renderWarning(
+              "الضغط على الزر سيسجل خروج جميع الأجهزة ويرسل إليك رمزاً لإعادة تعيين كلمة المرور."
+            )}`,
+      }),
+      text: `
+        مرحباً ${username}!
+        
+        تم تسجيل الدخول إلى حسابك من جهاز لم نره من قبل:
+        الجهاز: ${deviceName}
+        عنوان IP: ${ipAddress || "غير معروف"}
+        الوقت: ${loginTime}
+        
+        إذا كنت أنت، فلا داعي لأي إجراء.
+        
+        إذا لم تكن أنت، قم بزيارة الرابط التالي لتسجيل خروج جميع الأجهزة وإعادة تعيين كلمة المرور:
+        
+        ${reportUrl}
+      `,
+    };
+  }
+
+  getSuspensionLiftedTemplate(username) {
+    const loginUrl = `${process.env.FRONTEND_URL}/login`;
+
+    return {
+      subject: "تم رفع الإيقاف عن حسابك - Bsaraha",
+      html: this.renderLayout({
+        title: "تم رفع الإيقاف عن حسابك",
+        heading: `مرحباً ${username}! ✅`,
+        subheading: "حسابك نشط مجدداً",
+        body: `
+            <h2 style="color: #333; margin-top: 0;">انتهت مدة الإيقاف</h2>
+            <p>انتهت مدة إيقاف حسابك وأصبح بإمكانك تسجيل الدخول واستخدام Bsaraha من جديد.</p>
+            ${this.renderButton(loginUrl, "تسجيل الدخول 🔓")}
+            <p style="color: #666; font-size: 12px; text-align: center;">
+              يرجى الالتزام بإرشادات المجتمع لتجنب إيقاف الحساب مرة أخرى.
+            </p>`,
+      }),
+      text: `
+        مرحباً ${username}!
+        
+        انتهت مدة إيقاف حسابك وأصبح بإمكانك تسجيل الدخول واستخدام Bsaraha من جديد:
+        
+        ${loginUrl}
+        
+        يرجى الالتزام بإرشادات المجتمع لتجنب إيقاف الحساب مرة أخرى.
+      `,
+    };
+  }
+
   // Send specific emails
   async sendVerificationEmail(email, username, verificationToken) {
     const template = this.getVerificationEmailTemplate(
@@ -292,6 +663,78 @@ class EmailService {
       ...template,
     });
   }
+
+  async sendAccountLockedEmail(email, username, lockUntil) {
+    const template = this.getAccountLockedTemplate(username, lockUntil);
+    return await this.sendEmail({
+      to: email,
+      ...template,
+    });
+  }
+
+  async sendPasswordChangedEmail(email, username) {
+    const template = this.getPasswordChangedTemplate(username);
+    return await this.sendEmail({
+      to: email,
+      ...template,
+    });
+  }
+
+  async sendEmailChangeConfirmation(email, username, token) {
+    const template = this.getEmailChangeConfirmTemplate(username, email, token);
+    return await this.sendEmail({
+      to: email,
+      ...template,
+    });
+  }
+
+  async sendEmailChangeNotice(email, username, newEmail, undoToken) {
+    const template = this.getEmailChangeNoticeTemplate(
+      username,
+      newEmail,
+      undoToken
+    );
+    return await this.sendEmail({
+      to: email,
+      ...template,
+    });
+  }
+
+  async sendDataExportReadyEmail(email, username, downloadUrl, linkExpiresAt) {
+    const template = this.getDataExportReadyTemplate(
+      username,
+      downloadUrl,
+      linkExpiresAt
+    );
+    return await this.sendEmail({
+      to: email,
+      ...template,
+    });
+  }
+
+  async sendMagicLinkEmail(email, username, token) {
+    const template = this.getMagicLinkTemplate(username, token);
+    return await this.sendEmail({
+      to: email,
+      ...template,
+    });
+  }
+
+  async sendNewDeviceLoginEmail(email, username, details) {
+    const template = this.getNewDeviceLoginTemplate(username, details);
+    return await this.sendEmail({
+      to: email,
+      ...template,
+    });
+  }
+
+  async sendSuspensionLiftedEmail(email, username) {
+    const template = this.getSuspensionLiftedTemplate(username);
+    return await this.sendEmail({
+      to: email,
+      ...template,
+    });
+  }
 }
 
 // Create a singleton instance
@@ -0,0 +1,38 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const connectDB = require("../config/db");
+
+// Usage: node scripts/migrateAdminRoles.js
+//
+// Accounts created before roles existed only have the isAdmin flag, which
+// is no longer part of the schema, so those admins have no access until
+// they are given a role. Turn them into superadmins; running it again is a
+// no-op.
+const migrateAdminRoles = async () => {
+  try {
+    await connectDB();
+
+    const result = await User.collection.updateMany(
+      { isAdmin: true },
+      { $addToSet: { roles: "superadmin" }, $unset: { isAdmin: "" } }
+    );
+
+    // Drop the leftover flag from accounts that were never admins
+    await User.collection.updateMany(
+      { isAdmin: { $exists: true } },
+      { $unset: { isAdmin: "" } }
+    );
+
+    console.log(
+      `✅ Migrated ${result.modifiedCount} legacy admin(s) to the superadmin role`
+    );
+  } catch (error) {
+    console.error("❌ Error migrating admin roles:", error.message);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the script
+migrateAdminRoles();
@@ -0,0 +1,92 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const connectDB = require("../config/db");
+
+// Usage: node scripts/migrateMessageReplies.js
+//
+// Messages used to hold a single embedded `reply`. Threads keep every reply
+// in `replies` instead, with repliedAt/publicReplyAt mirroring the first
+// one. Convert the old shape and rebuild the search index over the new
+// field; running it again is a no-op.
+const BATCH_SIZE = 500;
+const TEXT_INDEX = "message_text_search";
+
+// The text index used to cover reply.content. An index can't be changed in
+// place and a new one with the same name conflicts, so drop the old one.
+const dropLegacyTextIndex = async () => {
+  // Listing fails when the collection doesn't exist yet
+  const indexes = await Message.collection.indexes().catch(() => []);
+  const legacy = indexes.find(
+    (index) =>
+      index.name === TEXT_INDEX &&
+      index.weights &&
+      index.weights["reply.content"]
+  );
+  if (!legacy) return false;
+
+  await Message.collection.dropIndex(TEXT_INDEX);
+  return true;
+};
+
+const migrateMessageReplies = async () => {
+  try {
+    await connectDB();
+
+    const cursor = Message.collection.find(
+      { reply: { $exists: true } },
+      { projection: { reply: 1 } }
+    );
+
+    let operations = [];
+    let migrated = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Message.collection.bulkWrite(operations, { ordered: false });
+      migrated += operations.length;
+      operations = [];
+    };
+
+    for await (const doc of cursor) {
+      const { reply } = doc;
+      const update = { $unset: { reply: "" } };
+
+      if (reply && reply.content) {
+        const createdAt = reply.createdAt || new Date();
+        update.$set = {
+          replies: [
+            {
+              _id: new mongoose.Types.ObjectId(),
+              author: "recipient",
+              content: reply.content,
+              isPublic: !!reply.isPublic,
+              createdAt,
+            },
+          ],
+          repliedAt: createdAt,
+          publicReplyAt: reply.isPublic ? createdAt : null,
+        };
+      }
+
+      operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`✅ Migrated ${migrated} message(s) to threaded replies`);
+
+    if (await dropLegacyTextIndex()) {
+      console.log(`✅ Dropped the old ${TEXT_INDEX} index`);
+    }
+    await Message.createIndexes();
+    console.log("✅ Message indexes are up to date");
+  } catch (error) {
+    console.error("❌ Error migrating message replies:", error.message);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run the script
+migrateMessageReplies();
@@ -3,6 +3,8 @@ const express = require("express");
 const cors = require("cors");
 const morgan = require("morgan");
 const connectDB = require("./config/db");
+const { startJobs, stopJobs } = require("./jobs");
+const { closeAllStreams } = require("./utils/realtime");
 const swaggerJSDoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
 
@@ -102,9 +104,14 @@ app.use(
 // Routes with specific rate limits
 app.use("/api/auth/login", rateLimits.auth);
 app.use("/api/auth/register", rateLimits.auth);
+app.use("/api/auth/magic-link", rateLimits.auth);
+app.use("/api/auth/google", rateLimits.auth);
 app.use("/api/auth/forgot-password", rateLimits.passwordReset);
 app.use("/api/auth/reset-password", rateLimits.passwordReset);
+app.use("/api/auth/not-me", rateLimits.passwordReset);
+app.use("/api/auth/resend-verification", rateLimits.verificationEmail);
 app.use("/api/messages/send", rateLimits.messages);
+app.use("/api/messages/thread/replies", rateLimits.messages);
 app.use("/api/users/search", rateLimits.search);
 
 // API Routes
@@ -112,6 +119,7 @@ app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/messages", require("./routes/messages"));
 app.use("/api/admin", require("./routes/admin"));
+app.use("/api/events", require("./routes/events"));
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -137,6 +145,7 @@ app.get("/", (req, res) => {
       users: "/api/users",
       messages: "/api/messages",
       admin: "/api/admin",
+      events: "/api/events",
     },
   });
 });
@@ -223,6 +232,7 @@ app.use("/api/*", (req, res) => {
       users: "/api/users",
       messages: "/api/messages",
       admin: "/api/admin",
+      events: "/api/events",
       docs: "/api-docs",
     },
   });
@@ -241,6 +251,10 @@ app.use("*", (req, res) => {
 const gracefulShutdown = (signal) => {
   console.log(`\n📡 Received ${signal}. Starting graceful shutdown...`);
 
+  stopJobs();
+  // Open event streams would otherwise keep the server from closing
+  closeAllStreams();
+
   server.close(() => {
     console.log("🔒 HTTP server closed");
 
@@ -266,6 +280,11 @@ const server = app.listen(PORT, () => {
   console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
 
+  // Background jobs (scheduled account deletion, ...)
+  if (process.env.DISABLE_JOBS !== "true") {
+    startJobs();
+  }
+
   if (process.env.NODE_ENV === "development") {
     console.log(`\n📋 Available endpoints:`);
     console.log(`   Authentication: http://localhost:${PORT}/api/auth`);
@@ -0,0 +1,34 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escape a value for a CSV cell (RFC 4180). Text that could be read as a
+// formula gets a leading ' so user-written content is shown as-is.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turn a list of flat objects into CSV. Columns default to the keys of the
+// first row.
+const toCsv = (rows, columns) => {
+  const headers = columns || (rows.length ? Object.keys(rows[0]) : []);
+
+  const lines = [
+    headers.map(escapeCell).join(","),
+    ...rows.map((row) =>
+      headers.map((header) => escapeCell(row[header])).join(",")
+    ),
+  ];
+
+  return lines.join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  toCsv,
+};
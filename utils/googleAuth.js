@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Google ID tokens are RS256 JWTs signed with keys published as a JWKS
+const GOOGLE_JWKS_URI =
+  process.env.GOOGLE_JWKS_URI || "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const DEFAULT_KEYS_TTL = 60 * 60 * 1000;
+
+let localKeySet = null;
+let cachedKeys = null;
+let cachedUntil = 0;
+
+// Use a fixed JWKS instead of Google's (e.g. a local key set in tests).
+// Pass null to go back to fetching GOOGLE_JWKS_URI.
+const setKeySet = (jwks) => {
+  localKeySet = jwks;
+  cachedKeys = null;
+  cachedUntil = 0;
+};
+
+const fetchKeySet = async () => {
+  if (localKeySet) return localKeySet;
+
+  if (cachedKeys && Date.now() < cachedUntil) {
+    return cachedKeys;
+  }
+
+  const response = await fetch(GOOGLE_JWKS_URI);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Google keys: ${response.status}`);
+  }
+
+  // Honour Cache-Control max-age so rotated keys are picked up
+  const maxAge = /max-age=(\d+)/.exec(
+    response.headers.get("cache-control") || ""
+  );
+  cachedKeys = await response.json();
+  cachedUntil =
+    Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : DEFAULT_KEYS_TTL);
+
+  return cachedKeys;
+};
+
+const getSigningKey = async (kid) => {
+  const { keys = [] } = await fetchKeySet();
+  const jwk = keys.find((key) => key.kid === kid);
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: "jwk" }) : null;
+};
+
+// Verify a Google ID token and return the identity it carries, or null if
+// the token is invalid, expired or issued for another client
+const verifyGoogleIdToken = async (idToken) => {
+  if (!process.env.GOOGLE_CLIENT_ID) {
+    throw new Error("GOOGLE_CLIENT_ID is not configured");
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) return null;
+
+  const key = await getSigningKey(decoded.header.kid);
+  if (!key) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, key, {
+      algorithms: ["RS256"],
+      audience: process.env.GOOGLE_CLIENT_ID.split(","),
+      issuer: GOOGLE_ISSUERS,
+    });
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload.sub || !payload.email) return null;
+
+  return {
+    googleId: payload.sub,
+    email: payload.email.toLowerCase(),
+    emailVerified:
+      payload.email_verified === true || payload.email_verified === "true",
+    firstName: payload.given_name || payload.name || "",
+    lastName: payload.family_name || "",
+    picture: payload.picture || "",
+  };
+};
+
+module.exports = {
+  setKeySet,
+  verifyGoogleIdToken,
+};
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const LoginEvent = require("../models/LoginEvent");
+const emailService = require("../scripts/emailService");
+const { hashToken } = require("./tokens");
+const { parseUserAgent } = require("./userAgent");
+
+const ALERT_LINK_TTL =
+  (parseInt(process.env.NEW_DEVICE_ALERT_TTL_HOURS) || 72) * 60 * 60 * 1000;
+
+const DEVICE_COOKIE = "device_id";
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const DEVICE_COOKIE_MAX_AGE = 2 * 365 * 24 * 60 * 60 * 1000;
+
+const readCookie = (req, name) => {
+  const match = (req.headers.cookie || "").match(
+    new RegExp(`(?:^|;\\s*)${name}=([^;]*)`)
+  );
+  return match ? match[1] : null;
+};
+
+// The random ID this device was given on an earlier login, sent back in the
+// device cookie or, by apps that don't keep cookies, the X-Device-Id header.
+// Devices without one get a new ID, so they count as new.
+const resolveDeviceId = (req) => {
+  if (!req.deviceId) {
+    const sent = req.get("x-device-id") || readCookie(req, DEVICE_COOKIE);
+    req.deviceId =
+      sent && DEVICE_ID_PATTERN.test(sent)
+        ? sent
+        : crypto.randomBytes(16).toString("hex");
+  }
+  return req.deviceId;
+};
+
+// Keep the device ID in the browser for the next login
+const setDeviceCookie = (res, deviceId) => {
+  const production = process.env.NODE_ENV === "production";
+  res.cookie(DEVICE_COOKIE, deviceId, {
+    httpOnly: true,
+    secure: production,
+    // The frontend may be served from another site in production
+    sameSite: production ? "none" : "lax",
+    path: "/api/auth",
+    maxAge: DEVICE_COOKIE_MAX_AGE,
+  });
+};
+
+// The user agent alone is shared by too many people to tell devices apart,
+// so the fingerprint comes from the per-device ID. Only its hash is stored.
+// Bump the version whenever the fingerprint changes shape.
+const FINGERPRINT_VERSION = 2;
+
+const getDeviceFingerprint = (deviceId) => {
+  return hashToken(`device|${deviceId}`);
+};
+
+// Record a login attempt. Successful logins from a device the user has never
+// signed in from before get a "this wasn't me" email, except for the very
+// first login on the account or since the fingerprint last changed, when no
+// device is known yet.
+const recordLogin = async (req, user, { result, method }) => {
+  const userAgent = req.headers["user-agent"] || "";
+  const parsed = parseUserAgent(userAgent);
+  const deviceFingerprint = getDeviceFingerprint(resolveDeviceId(req));
+
+  const event = new LoginEvent({
+    user: user._id,
+    result,
+    method,
+    ipAddress: req.ip,
+    userAgent: userAgent.slice(0, 500),
+    ...parsed,
+    deviceFingerprint,
+    fingerprintVersion: FINGERPRINT_VERSION,
+  });
+
+  let alertToken = null;
+  if (result === "success") {
+    const [hasKnownDevices, knownDevice] = await Promise.all([
+      LoginEvent.exists({
+        user: user._id,
+        result: "success",
+        fingerprintVersion: FINGERPRINT_VERSION,
+      }),
+      LoginEvent.exists({
+        user: user._id,
+        result: "success",
+        deviceFingerprint,
+      }),
+    ]);
+
+    if (hasKnownDevices && !knownDevice) {
+      alertToken = crypto.randomBytes(32).toString("hex");
+      event.newDevice = true;
+      event.alertTokenHash = hashToken(alertToken);
+      event.alertTokenExpires = new Date(Date.now() + ALERT_LINK_TTL);
+    }
+  }
+
+  await event.save();
+
+  if (alertToken) {
+    emailService.sendNewDeviceLoginEmail(user.email, user.username, {
+      token: alertToken,
+      deviceName:
+        [parsed.browser, parsed.os].filter(Boolean).join(" on ") ||
+        "Unknown device",
+      ipAddress: event.ipAddress,
+      time: event.createdAt,
+    });
+  }
+
+  return event;
+};
+
+// Look up the login a "this wasn't me" link points at and use up the link.
+// Returns null if the link is unknown, expired or already used.
+const consumeAlertToken = async (token) => {
+  return await LoginEvent.findOneAndUpdate(
+    {
+      alertTokenHash: hashToken(token),
+      alertTokenExpires: { $gt: Date.now() },
+    },
+    {
+      $set: { reportedAt: new Date() },
+      $unset: { alertTokenHash: "", alertTokenExpires: "" },
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  resolveDeviceId,
+  setDeviceCookie,
+  recordLogin,
+  consumeAlertToken,
+};
@@ -0,0 +1,133 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url JSON of the sort value and _id of
+// the item they point at
+const encodeCursor = (doc, sortField) => {
+  const value = doc.get(sortField);
+  return Buffer.from(
+    JSON.stringify({ v: new Date(value).getTime(), id: doc._id.toString() })
+  ).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isFinite(v) || !/^[0-9a-fA-F]{24}$/.test(id)) return null;
+    return { value: new Date(v), id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read limit/page/before/after from the query string. `before` pages towards
+// older items and `after` towards newer ones; without either, the classic
+// page-based pagination is used. Returns { error } for a bad cursor.
+const parsePagination = (query) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const before = query.before ? decodeCursor(String(query.before)) : null;
+  const after = query.after ? decodeCursor(String(query.after)) : null;
+
+  if (
+    (query.before && !before) ||
+    (query.after && !after) ||
+    (before && after)
+  ) {
+    return { error: "Invalid cursor" };
+  }
+
+  return { limit, page, before, after };
+};
+
+// Find one page of `filter`, newest first by `sortField` then _id. Cursor
+// pages use range queries on (sortField, _id) so they stay fast and stable
+// while new items arrive; page-based requests keep their skip/count
+// behaviour and also get a nextCursor to switch over.
+const paginate = async (
+  model,
+  filter,
+  { sortField, pagination, populate = [] }
+) => {
+  const { limit, page, before, after } = pagination;
+  const cursor = before || after;
+
+  let query;
+  if (cursor) {
+    const op = before ? "$lt" : "$gt";
+    const direction = before ? -1 : 1;
+
+    query = model
+      .find({
+        $and: [
+          filter,
+          {
+            $or: [
+              { [sortField]: { [op]: cursor.value } },
+              { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+            ],
+          },
+        ],
+      })
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1);
+  } else {
+    query = model
+      .find(filter)
+      .sort({ [sortField]: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1);
+  }
+
+  for (const args of populate) {
+    query = query.populate(...args);
+  }
+
+  const docs = await query;
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (after) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  // nextCursor leads to older items, prevCursor to newer ones. An `after`
+  // page only has newer items beyond it if the query found more than `limit`.
+  const nextCursor =
+    last && (after || hasMore) ? encodeCursor(last, sortField) : null;
+  const prevCursor =
+    first && (!after || hasMore) ? encodeCursor(first, sortField) : null;
+
+  if (cursor) {
+    return {
+      items,
+      pagination: {
+        limit,
+        count: items.length,
+        nextCursor,
+        prevCursor,
+      },
+    };
+  }
+
+  const total = await model.countDocuments(filter);
+
+  return {
+    items,
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      count: items.length,
+      nextCursor,
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  paginate,
+};
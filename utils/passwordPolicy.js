@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+
+// Shared password rules for registration, password change and reset
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+// bcrypt ignores everything past 72 bytes
+const MAX_LENGTH = 72;
+const MIN_CHARACTER_CLASSES =
+  parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 3;
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// Undo the usual letter substitutions before the dictionary check
+const LEET_SUBSTITUTIONS = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  "@": "a",
+  $: "s",
+  "!": "i",
+};
+
+// Bundled word lists, one entry per line; "#" lines are comments
+const loadList = (fileName) => {
+  const contents = fs.readFileSync(
+    path.join(__dirname, "data", fileName),
+    "utf8"
+  );
+
+  return new Set(
+    contents
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith("#"))
+  );
+};
+
+const commonPasswords = loadList("common-passwords.txt");
+const dictionaryWords = loadList("dictionary-words.txt");
+
+// "P@ssw0rd2024!" -> "password"
+const getBaseWord = (password) => {
+  const stripped = password
+    .toLowerCase()
+    .replace(/^[^a-z]+|[^a-z]+$/g, "")
+    .replace(/[013457@$!]/g, (char) => LEET_SUBSTITUTIONS[char]);
+
+  return stripped.replace(/[^a-z]/g, "");
+};
+
+const containsPersonalInfo = (password, { username, email } = {}) => {
+  const lower = password.toLowerCase();
+  const parts = [username, email, email && email.split("@")[0]]
+    .filter(Boolean)
+    .map((part) => String(part).toLowerCase())
+    .filter((part) => part.length >= 3);
+
+  return parts.some((part) => lower.includes(part));
+};
+
+// Check a password against every rule. Returns a list of
+// { rule, message } for the rules that failed; empty when it passes.
+const checkPassword = (password, userInfo = {}) => {
+  if (typeof password !== "string" || !password) {
+    return [{ rule: "required", message: "Password is required" }];
+  }
+
+  const errors = [];
+
+  if (password.length < MIN_LENGTH) {
+    errors.push({
+      rule: "minLength",
+      message: `Password must be at least ${MIN_LENGTH} characters long`,
+    });
+  }
+
+  if (Buffer.byteLength(password) > MAX_LENGTH) {
+    errors.push({
+      rule: "maxLength",
+      message: `Password must be at most ${MAX_LENGTH} bytes long`,
+    });
+  }
+
+  const classCount = CHARACTER_CLASSES.filter((pattern) =>
+    pattern.test(password)
+  ).length;
+  if (classCount < MIN_CHARACTER_CLASSES) {
+    errors.push({
+      rule: "characterClasses",
+      message: `Password must contain at least ${MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, digits, symbols`,
+    });
+  }
+
+  if (dictionaryWords.has(getBaseWord(password))) {
+    errors.push({
+      rule: "dictionary",
+      message: "Password is based on a common dictionary word",
+    });
+  }
+
+  if (commonPasswords.has(password.toLowerCase())) {
+    errors.push({
+      rule: "breached",
+      message: "Password appears in a list of common or breached passwords",
+    });
+  }
+
+  if (containsPersonalInfo(password, userInfo)) {
+    errors.push({
+      rule: "personalInfo",
+      message: "Password must not contain your username or email",
+    });
+  }
+
+  return errors;
+};
+
+// Response body for a rejected password
+const passwordPolicyError = (errors) => ({
+  success: false,
+  message: "Password does not meet the requirements",
+  errors,
+});
+
+module.exports = {
+  MIN_LENGTH,
+  MAX_LENGTH,
+  checkPassword,
+  passwordPolicyError,
+};
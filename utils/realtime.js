@@ -0,0 +1,87 @@
+const { EventEmitter } = require("events");
+const Message = require("../models/Message");
+
+// Real-time events are published to a per-user channel through a pub/sub
+// adapter. The default in-memory adapter only reaches clients connected to
+// this process; to run several instances, install an adapter backed by a
+// shared broker (Redis, NATS, ...) with setAdapter(). An adapter implements:
+//
+//   publish(channel, payload)  -> Promise
+//   subscribe(channel, handler) -> Promise<unsubscribe function>
+//
+// Payloads are plain JSON-serialisable objects.
+const createMemoryAdapter = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    async publish(channel, payload) {
+      emitter.emit(channel, payload);
+    },
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+};
+
+let adapter = createMemoryAdapter();
+
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+const userChannel = (userId) => `user:${userId}`;
+
+// Fire-and-forget: a failed push must never fail the request that caused it
+const publishToUser = (userId, event, data) => {
+  adapter
+    .publish(userChannel(userId), { event, data, at: new Date() })
+    .catch((error) => console.error("Realtime publish error:", error));
+};
+
+const subscribeToUser = (userId, handler) => {
+  return adapter.subscribe(userChannel(userId), handler);
+};
+
+// Open client streams, so shutdown doesn't wait for them to disconnect
+const openStreams = new Set();
+
+const registerStream = (close) => {
+  openStreams.add(close);
+  return () => openStreams.delete(close);
+};
+
+const closeAllStreams = () => {
+  for (const close of [...openStreams]) {
+    close();
+  }
+};
+
+const getUnreadCount = (userId) => {
+  return Message.countDocuments({
+    recipient: userId,
+    isRead: false,
+    deletedAt: null,
+  });
+};
+
+// Push the current unread count after anything that may have changed it
+const publishUnreadCount = (userId) => {
+  getUnreadCount(userId)
+    .then((unreadCount) =>
+      publishToUser(userId, "unread:count", { unreadCount })
+    )
+    .catch((error) => console.error("Realtime unread count error:", error));
+};
+
+module.exports = {
+  createMemoryAdapter,
+  setAdapter,
+  publishToUser,
+  subscribeToUser,
+  registerStream,
+  closeAllStreams,
+  getUnreadCount,
+  publishUnreadCount,
+};
@@ -0,0 +1,243 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
+const { parseUserAgent } = require("./userAgent");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Personal access tokens look like "pat_<tokenId>.<secret>"
+const API_TOKEN_PREFIX = "pat_";
+
+// Hash a random token before storing it
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate short-lived access token bound to a session and to the user's
+// current token version
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user._id, sessionId, tokenVersion: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// without scanning every hash
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+};
+
+const getRefreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Best-effort device name from the user agent
+const getDeviceName = (userAgent) => {
+  const { browser, os } = parseUserAgent(userAgent);
+  return [browser, os].filter(Boolean).join(" on ") || "Unknown device";
+};
+
+// Create a new session and return the token pair for it
+const issueTokens = async (user, req) => {
+  const userAgent = req.headers["user-agent"] || "";
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: "pending",
+    deviceName: (req.body && req.body.deviceName) || getDeviceName(userAgent),
+    ipAddress: req.ip,
+    userAgent: userAgent.slice(0, 500),
+    expiresAt: getRefreshExpiry(),
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+// Exchange a refresh token for a new token pair. Returns null if the token is
+// unknown, expired or revoked. Presenting an already-rotated token revokes the
+// whole session, since it means the token was copied. The swap is a single
+// conditional update, so of two refreshes racing with the same token only one
+// wins and the other counts as reuse.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = (refreshToken || "").split(".");
+  if (!sessionId || !/^[0-9a-fA-F]{24}$/.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  const user = await User.findById(session.user).select(
+    "status statusReason statusExpiresAt tokenVersion"
+  );
+  if (!user) return null;
+
+  const newRefreshToken = generateRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        ipAddress: req.ip,
+        expiresAt: getRefreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    console.log(`🚨 Refresh token reuse detected for session ${session._id}`);
+    return null;
+  }
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken: newRefreshToken,
+    sessionId: session._id,
+    user,
+  };
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = async (userId, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+// Invalidate every access and refresh token issued to a user so far.
+// Returns the user with the new token version.
+const invalidateAllTokens = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select("tokenVersion");
+
+  await revokeAllSessions(userId);
+  return user;
+};
+
+const isApiToken = (token) => {
+  return typeof token === "string" && token.startsWith(API_TOKEN_PREFIX);
+};
+
+// Create a personal access token. The plain token is only returned here.
+const createApiToken = async (user, { name, scopes, expiresAt }) => {
+  const apiToken = new ApiToken({
+    user: user._id,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: "pending",
+    tokenVersion: user.tokenVersion || 0,
+  });
+
+  const token = `${API_TOKEN_PREFIX}${apiToken._id}.${crypto
+    .randomBytes(32)
+    .toString("hex")}`;
+  apiToken.tokenHash = hashToken(token);
+  await apiToken.save();
+
+  return { apiToken, token };
+};
+
+// Look up an active personal access token. Returns null if it is unknown,
+// revoked or expired.
+const findApiToken = async (token) => {
+  const [tokenId] = token.slice(API_TOKEN_PREFIX.length).split(".");
+  if (!tokenId || !/^[0-9a-fA-F]{24}$/.test(tokenId)) return null;
+
+  const apiToken = await ApiToken.findById(tokenId).select("+tokenHash");
+  if (!apiToken || !apiToken.isActive()) return null;
+
+  const expected = Buffer.from(apiToken.tokenHash, "hex");
+  const actual = Buffer.from(hashToken(token), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiToken;
+};
+
+// Short-lived token proving the password step of a login succeeded. It has no
+// session, so authenticateToken never accepts it as an access token.
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { userId: user._id, purpose, tokenVersion: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.CHALLENGE_TOKEN_EXPIRES_IN || "5m" }
+  );
+};
+
+// Returns the decoded payload, or null if the token is invalid or was issued
+// for a different purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// HMAC signature for links that must work without a bearer token, such as
+// download links sent by email
+const signLink = (resourceId, expires) => {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${resourceId}:${expires}`)
+    .digest("hex");
+};
+
+const verifyLinkSignature = (resourceId, expires, signature) => {
+  if (!signature || !expires || Number(expires) < Date.now()) return false;
+
+  const expected = Buffer.from(signLink(resourceId, expires), "hex");
+  const actual = Buffer.from(String(signature), "hex");
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAllSessions,
+  invalidateAllTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  isApiToken,
+  createApiToken,
+  findApiToken,
+  signLink,
+  verifyLinkSignature,
+  getDeviceName,
+};
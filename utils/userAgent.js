@@ -0,0 +1,46 @@
+// Best-effort user agent parsing for session names and login history
+const OS_PATTERNS = [
+  [/android/i, "Android"],
+  [/iphone|ipad|ipod/i, "iOS"],
+  [/windows/i, "Windows"],
+  [/mac os x|macintosh/i, "macOS"],
+  [/cros/i, "ChromeOS"],
+  [/linux/i, "Linux"],
+];
+
+const BROWSER_PATTERNS = [
+  [/edg\//i, "Edge"],
+  [/opr\/|opera/i, "Opera"],
+  [/samsungbrowser\//i, "Samsung Internet"],
+  [/chrome\/|crios\//i, "Chrome"],
+  [/firefox\/|fxios\//i, "Firefox"],
+  [/safari\//i, "Safari"],
+  [/okhttp|dart|cfnetwork/i, "Mobile app"],
+];
+
+const findMatch = (patterns, userAgent) => {
+  const match = patterns.find(([pattern]) => pattern.test(userAgent));
+  return match ? match[1] : null;
+};
+
+const getDeviceType = (userAgent) => {
+  if (/ipad|tablet/i.test(userAgent)) return "tablet";
+  if (/mobi|iphone|android/i.test(userAgent)) return "mobile";
+  return "desktop";
+};
+
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: null, os: null, deviceType: null };
+  }
+
+  return {
+    browser: findMatch(BROWSER_PATTERNS, userAgent),
+    os: findMatch(OS_PATTERNS, userAgent),
+    deviceType: getDeviceType(userAgent),
+  };
+};
+
+module.exports = {
+  parseUserAgent,
+};
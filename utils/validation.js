@@ -1,9 +1,16 @@
 const Joi = require("joi");
+const { checkPassword } = require("./passwordPolicy");
 
 // Common validation schemas
 const schemas = {
   email: Joi.string().email().required(),
-  password: Joi.string().min(6).required(),
+  // New passwords follow the shared policy in passwordPolicy.js
+  password: Joi.string()
+    .required()
+    .custom((value, helpers) => {
+      const [failed] = checkPassword(value);
+      return failed ? helpers.message(failed.message) : value;
+    }),
   username: Joi.string().alphanum().min(3).max(20).required(),
   name: Joi.string().min(1).max(50).required(),
   bio: Joi.string().max(200).allow(""),
@@ -86,7 +93,8 @@ const validate = {
   login: validateBody(
     Joi.object({
       email: schemas.email,
-      password: schemas.password,
+      // Existing passwords may predate the policy
+      password: Joi.string().required(),
     })
   ),
 